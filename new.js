@@ -22,18 +22,170 @@ const CONFIG = {
         }
     },
     distances: {
-        arrived: 0.3,      // 300m
-        close: 0.75,       // 750m
-        near: 1,           // 1km
-        approaching: 2     // 2km
+        arrived: 0.3,      // 300m, default arrival radius
+        radiusOptions: [0.1, 0.2, 0.3, 0.5, 1]
+    },
+    triggers: {
+        arrival: 'Alert me when I arrive',
+        exit: 'Alert me when I leave'
+    },
+    distanceModes: {
+        route: 'Along the route',
+        straight: 'Straight line'
+    },
+    routing: {
+        offRouteTolerance: 0.15   // km from the route before falling back to straight line
+    },
+    eta: {
+        sampleWindow: 120000,     // only use speeds from the last 2 minutes
+        maxSamples: 6,
+        minSpeed: 1               // km/h, below this the ETA is unknown
+    },
+    // GPS power profiles, from coarse and rare far away to continuous close by.
+    // A profile applies while the remaining distance or ETA is below its limits.
+    trackingProfiles: {
+        near: { label: 'Close by', maxDistance: 3, maxEta: 5, watch: true, highAccuracy: true, interval: 10000, maximumAge: 5000 },
+        approaching: { label: 'On the way', maxDistance: 20, maxEta: 20, watch: false, highAccuracy: true, interval: 20000, maximumAge: 15000 },
+        far: { label: 'Far away', maxDistance: Infinity, maxEta: Infinity, watch: false, highAccuracy: false, interval: 60000, maximumAge: 60000 }
+    },
+    battery: {
+        lowLevel: 0.2,
+        intervalFactor: 2         // fixes come this much less often on low battery
+    },
+    positioning: {
+        maxAccuracy: 150,         // meters, rougher fixes (e.g. cell towers) are dropped
+        speedNoise: 5,            // m/s, least drift allowed between fixes, raised to the current speed
+        confirmFixes: 3,          // consecutive fixes inside the radius before arriving
+        confirmAccuracy: 50       // meters, rougher fixes neither confirm nor break a streak
+    },
+    breadcrumbs: {
+        maxAccuracy: 100,         // meters, rougher fixes are not recorded
+        minDistance: 0.01,        // km moved before another fix is recorded
+        tolerance: 0.005,         // km, simplification keeps the path within this
+        maxPoints: 200,           // per saved trip, the tolerance grows until it fits
+        style: { color: '#6f42c1', weight: 4, opacity: 0.7 }
+    },
+    alarm: {
+        startVolume: 0.3,
+        volumeStep: 0.1,          // added every stepInterval until full volume
+        stepInterval: 5000,
+        beepInterval: 1500,       // used when there is no alarm audio element
+        vibrateInterval: 3000,
+        vibratePattern: [500, 200, 500, 200, 500],
+        snoozeMinutes: 5,
+        snoozeRadiusFactor: 0.5,  // snoozing by distance re-arms at half the radius
+        minSnoozeRadius: 0.05     // km, GPS noise rarely gets closer than this
+    },
+    alertUnits: {
+        km: 'km before',
+        min: 'min before'
+    },
+    alerts: [
+        { distance: 0.5, message: '📍 500 meters remaining to destination', severity: 'high' },
+        { distance: 1, message: '📍 1 kilometer remaining to destination', severity: 'medium' },
+        { distance: 2, message: '📍 2 kilometers remaining to destination', severity: 'low' }
+    ],
+    severities: {
+        low: { type: 'info', duration: 'short', important: false, level: 'approaching' },
+        medium: { type: 'info', duration: 'medium', important: true, level: 'approaching' },
+        high: { type: 'warning', duration: 'medium', important: true, level: 'close' }
+    },
+    sounds: {
+        database: 'gps-alarm-sounds',
+        maxUploadSize: 5 * 1024 * 1024,   // 5 MB
+        previewDuration: 3000,
+        builtIn: {
+            classic: { label: 'Classic alarm', src: 'alarm.mp3' },
+            beep: { label: 'Beep', tone: { frequencies: [800], wave: 'sine' } },
+            chime: { label: 'Chime', tone: { frequencies: [660, 880, 1320], wave: 'triangle' } },
+            siren: { label: 'Siren', tone: { frequencies: [600, 1200, 600, 1200], wave: 'sawtooth' } },
+            none: { label: 'Silent' }
+        },
+        levels: {
+            approaching: { label: 'Approaching', sound: 'beep', volume: 0.5 },
+            close: { label: 'Close', sound: 'chime', volume: 0.7 },
+            arrived: { label: 'Arrived', sound: 'classic', volume: 1 }
+        }
+    },
+    stats: {
+        maxPeriods: 12,           // weeks or months shown in the trips chart
+        maxDestinations: 6,
+        color: '#007bff'
+    },
+    exportFormats: {
+        gpx: { label: 'GPX 1.1', extension: 'gpx', mimeType: 'application/gpx+xml' },
+        geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json' },
+        kml: { label: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' }
+    },
+    import: {
+        maxFileSize: 5 * 1024 * 1024,
+        maxStops: 25,
+        style: { color: '#007bff', weight: 4, opacity: 0.6, dashArray: '8, 8' }
+    },
+    // Developer/demo mode, track.html?simulate=line|route|trip:<id>&speed=<n>
+    simulation: {
+        speed: 40,                // km/h along synthetic tracks
+        startDistance: 10,        // km before the first stop (or out of the zone for exit alarms)
+        accuracy: 10,             // metres reported with synthetic fixes
+        tickInterval: 1000,       // ms of real time between fixes
+        speeds: [1, 5, 10, 30, 60],
+        maxSpeed: 600
+    },
+    backup: {
+        schemaVersion: 1,
+        collections: ['searchHistory', 'tripHistory', 'gpsAlarmUsers', 'savedPlaces'],   // arrays of records with an id
+        settings: ['soundSettings', 'regionSettings']
     },
     storage: {
         maxHistory: 50,
-        maxTrips: 100
+        maxTrips: 100,
+        maxSavedPlaces: 20
+    },
+    placeIcons: {
+        home: '🏠',
+        work: '💼',
+        school: '🎓',
+        favourite: '⭐'
     },
     api: {
         nominatim: 'https://nominatim.openstreetmap.org',
-        tileLayers: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png'
+        photon: 'https://photon.komoot.io',
+        tileLayers: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+        tileDownload: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png'
+    },
+    geocoding: {
+        providers: ['nominatim', 'photon', 'gazetteer'],   // tried in order until one answers
+        limits: {
+            autocomplete: 8,
+            lookup: 10
+        },
+        cacheTtl: 7 * 24 * 60 * 60 * 1000,   // 7 days
+        maxCacheEntries: 100,
+        distinctDistance: 2,   // km, closer matches count as the same place
+        nearbyDistance: 5,     // km, offline reverse lookups name towns this close
+        maxCandidates: 5       // places offered in the disambiguation picker
+    },
+    regions: {
+        lk: { label: 'Sri Lanka', countryCodes: ['lk'], center: [7.8731, 80.7718], zoom: 8, bbox: [79.5, 5.8, 82.0, 9.9] },
+        in: { label: 'India', countryCodes: ['in'], center: [22.3511, 78.6677], zoom: 5, bbox: [68.1, 6.5, 97.4, 35.7] },
+        mv: { label: 'Maldives', countryCodes: ['mv'], center: [3.2028, 73.2207], zoom: 7, bbox: [72.5, -0.8, 73.8, 7.2] },
+        southAsia: { label: 'Sri Lanka, India & Maldives', countryCodes: ['lk', 'in', 'mv'], center: [12.5, 78.5], zoom: 5, bbox: [68.1, -0.8, 97.4, 35.7] },
+        world: { label: 'Anywhere', countryCodes: [], center: [20, 0], zoom: 2, bbox: null }
+    },
+    region: {
+        default: 'lk',
+        biasRadius: 50,                      // km around the last fix preferred when biasing
+        biasCacheDecimals: 1,                // biased results are cached per ~11 km cell of the last fix
+        fixMaxAge: 24 * 60 * 60 * 1000,      // last known fix older than this is ignored
+        fixSaveInterval: 60 * 1000           // how often tracking updates the last known fix
+    },
+    offline: {
+        serviceWorker: 'sw.js',
+        tripZooms: [10, 14],      // whole trip area
+        stopZooms: [15, 16],      // close-up around each stop
+        tripPadding: 2,           // km added around the trip area
+        stopRadius: 1,            // km around each stop
+        maxTiles: 400             // keep bulk downloads small for the OSM tile servers
     }
 };
 
@@ -46,11 +198,32 @@ class AppState {
         this.map = null;
         this.userMarker = null;
         this.destMarker = null;
+        this.zoneCircle = null;
         this.routeControl = null;
+        this.route = null;
+        this.offlineAreaCached = false;
         this.destLat = null;
         this.destLng = null;
+        this.stops = [];
+        this.currentStop = 0;
+        this.tripSettings = null;
+        this.speedSamples = [];
+        this.lastFix = null;
+        this.breadcrumbs = [];
+        this.trailLine = null;
+        this.positionFilter = null;
+        this.zoneFixes = {};
         this.notified = {};
+        this.snoozeRadius = null;
+        this.snoozeTimer = null;
+        this.snoozeEndsAt = null;
+        this.snoozeRemaining = null;
         this.watchId = null;
+        this.pollTimer = null;
+        this.trackingProfile = null;
+        this.battery = null;
+        this.simulator = null;
+        this.alarm = null;
         this.isTracking = false;
         this.trackingStartTime = null;
     }
@@ -59,10 +232,7 @@ class AppState {
         this.notified = {};
         this.isTracking = false;
         this.trackingStartTime = null;
-        if (this.watchId) {
-            navigator.geolocation.clearWatch(this.watchId);
-            this.watchId = null;
-        }
+        TrackingScheduler.stop();
     }
 }
 
@@ -98,6 +268,22 @@ class Utils {
         return Date.now().toString(36) + Math.random().toString(36).substr(2);
     }
 
+    // Ids made by generateId (or older numeric ones) are plain letters and digits
+    static isGeneratedId(id) {
+        return (typeof id === 'string' || typeof id === 'number') && /^[a-z0-9]+$/i.test(String(id));
+    }
+
+    static downloadFile(content, filename, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
     static formatTimestamp(timestamp) {
         const date = new Date(timestamp);
         const now = new Date();
@@ -114,6 +300,30 @@ class Utils {
         return date.toLocaleDateString();
     }
 
+    // Distance in km from (lat, lng) to points[endIndex], following the path
+    // from its nearest vertex. Returns null when the position is off the path.
+    static distanceAlongPath(points, lat, lng, endIndex = points.length - 1, tolerance = Infinity) {
+        if (!points || points.length === 0) return null;
+
+        let nearestIndex = 0;
+        let nearestDistance = Infinity;
+        for (let i = 0; i <= endIndex; i++) {
+            const d = this.haversine(lat, lng, points[i].lat, points[i].lng);
+            if (d < nearestDistance) {
+                nearestDistance = d;
+                nearestIndex = i;
+            }
+        }
+
+        if (nearestDistance > tolerance) return null;
+
+        let total = nearestDistance;
+        for (let i = nearestIndex; i < endIndex; i++) {
+            total += this.haversine(points[i].lat, points[i].lng, points[i + 1].lat, points[i + 1].lng);
+        }
+        return total;
+    }
+
     static debounce(func, wait) {
         let timeout;
         return function executedFunction(...args) {
@@ -146,6 +356,8 @@ class NotificationSystem {
     constructor() {
         this.container = null;
         this.wakeLock = null;
+        this.alarmTimers = [];
+        this.alarmSound = null;
         this.init();
     }
 
@@ -185,7 +397,11 @@ class NotificationSystem {
         }
 
         // Request wake lock for tracking
-        if ('wakeLock' in navigator) {
+        await this.requestWakeLock();
+    }
+
+    async requestWakeLock() {
+        if ('wakeLock' in navigator && !this.wakeLock) {
             try {
                 this.wakeLock = await navigator.wakeLock.request('screen');
             } catch (error) {
@@ -345,21 +561,14 @@ class NotificationSystem {
 }
 
 
-    playNotificationSound() {
-        try {
-            const alarm = document.getElementById("alarmSound");
-            if (alarm) {
-                alarm.volume = 0.7;
-                alarm.play().catch(err => console.log("Audio play failed:", err));
-            } else {
-                this.playBeepSound();
-            }
-        } catch (error) {
+    playNotificationSound(level = 'arrived') {
+        SoundLibrary.play(level).catch(error => {
             console.log('Sound notification failed:', error);
-        }
+            this.playBeepSound();
+        });
     }
 
-    playBeepSound() {
+    playBeepSound(volume = 0.3) {
         try {
             const audioContext = new (window.AudioContext || window.webkitAudioContext)();
             const oscillator = audioContext.createOscillator();
@@ -370,7 +579,7 @@ class NotificationSystem {
             
             oscillator.frequency.value = 800;
             oscillator.type = 'sine';
-            gainNode.gain.setValueAtTime(0.3, audioContext.currentTime);
+            gainNode.gain.setValueAtTime(volume, audioContext.currentTime);
             gainNode.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + 1);
             
             oscillator.start(audioContext.currentTime);
@@ -380,6 +589,142 @@ class NotificationSystem {
         }
     }
 
+    // Full-screen alarm that keeps ringing, getting louder, until the user
+    // presses Dismiss or one of the snooze options ({ label, action })
+    startAlarm(message, { onDismiss = null, snoozeOptions = [] } = {}) {
+        this.stopAlarm();
+        this.addAlarmAnimation();
+
+        const overlay = document.createElement('div');
+        overlay.id = 'alarm-overlay';
+        overlay.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            right: 0;
+            bottom: 0;
+            z-index: 20000;
+            background: linear-gradient(135deg, #dc3545, #fd7e14);
+            color: white;
+            display: flex;
+            flex-direction: column;
+            align-items: center;
+            justify-content: center;
+            gap: 25px;
+            padding: 30px;
+            text-align: center;
+        `;
+
+        const buttonStyle = `
+            width: 100%;
+            padding: 18px;
+            border: none;
+            border-radius: 50px;
+            font-size: 18px;
+            font-weight: 600;
+            cursor: pointer;
+        `;
+
+        overlay.innerHTML = `
+            <div style="font-size: 80px; animation: alarmShake 0.5s ease-in-out infinite alternate;">⏰</div>
+            <div style="font-size: 26px; font-weight: 700; max-width: 500px; line-height: 1.4;">${message}</div>
+            <div style="display: flex; flex-direction: column; gap: 12px; width: 100%; max-width: 320px;">
+                <button data-action="dismiss" style="${buttonStyle} background: white; color: #dc3545;">Dismiss</button>
+                ${snoozeOptions.map((option, index) => `
+                    <button data-snooze="${index}" style="${buttonStyle} background: rgba(255,255,255,0.2); color: white;">
+                        😴 ${option.label}
+                    </button>
+                `).join('')}
+            </div>
+        `;
+
+        overlay.querySelector('[data-action="dismiss"]').addEventListener('click', () => {
+            this.stopAlarm();
+            if (onDismiss) onDismiss();
+        });
+
+        overlay.querySelectorAll('[data-snooze]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.stopAlarm();
+                snoozeOptions[button.dataset.snooze].action();
+            });
+        });
+
+        document.body.appendChild(overlay);
+
+        this.showNativeNotification(message.replace(/<[^>]*>/g, ''), 'success');
+        this.startAlarmSound();
+        this.startAlarmVibration();
+    }
+
+    async startAlarmSound() {
+        const maxVolume = SoundLibrary.getSettings().arrived.volume;
+        let volume = Math.min(CONFIG.alarm.startVolume, maxVolume);
+
+        try {
+            const sound = await SoundLibrary.play('arrived', { loop: true, volume: volume });
+            // The alarm may have been dismissed while the sound was loading
+            if (!this.isAlarmActive()) {
+                sound.stop();
+                return;
+            }
+            this.alarmSound = sound;
+        } catch (error) {
+            console.log('Alarm sound failed:', error);
+            this.alarmTimers.push(setInterval(() => this.playBeepSound(volume), CONFIG.alarm.beepInterval));
+        }
+
+        // Escalate the volume step by step up to the level chosen in settings
+        this.alarmTimers.push(setInterval(() => {
+            volume = Math.min(maxVolume, volume + CONFIG.alarm.volumeStep);
+            if (this.alarmSound) this.alarmSound.setVolume(volume);
+        }, CONFIG.alarm.stepInterval));
+    }
+
+    startAlarmVibration() {
+        if (!('vibrate' in navigator)) return;
+
+        navigator.vibrate(CONFIG.alarm.vibratePattern);
+        this.alarmTimers.push(setInterval(() => {
+            navigator.vibrate(CONFIG.alarm.vibratePattern);
+        }, CONFIG.alarm.vibrateInterval));
+    }
+
+    stopAlarm() {
+        this.alarmTimers.forEach(timer => clearInterval(timer));
+        this.alarmTimers = [];
+
+        if (this.alarmSound) {
+            this.alarmSound.stop();
+            this.alarmSound = null;
+        }
+
+        if ('vibrate' in navigator) {
+            navigator.vibrate(0);
+        }
+
+        const overlay = document.getElementById('alarm-overlay');
+        if (overlay) overlay.remove();
+    }
+
+    isAlarmActive() {
+        return !!document.getElementById('alarm-overlay');
+    }
+
+    addAlarmAnimation() {
+        if (!document.getElementById('alarm-animation')) {
+            const style = document.createElement('style');
+            style.id = 'alarm-animation';
+            style.textContent = `
+                @keyframes alarmShake {
+                    from { transform: rotate(-15deg) scale(1); }
+                    to { transform: rotate(15deg) scale(1.1); }
+                }
+            `;
+            document.head.appendChild(style);
+        }
+    }
+
     remove(id) {
         const notification = document.getElementById(id);
         if (notification) {
@@ -470,6 +815,236 @@ class NotificationSystem {
     }
 }
 
+// =============================================================================
+// SOUND LIBRARY
+// =============================================================================
+
+// A sound that is currently playing, either an audio file or a synthesized tone
+class SoundHandle {
+    constructor(volume) {
+        this.volume = volume;
+        this.audio = null;
+        this.objectUrl = null;
+        this.timer = null;
+    }
+
+    playFile(src, loop) {
+        this.audio = new Audio(src);
+        this.audio.loop = loop;
+        this.audio.volume = this.volume;
+        this.audio.play().catch(err => {
+            console.log("Audio play failed:", err);
+            this.audio = null;
+            this.playTone(CONFIG.sounds.builtIn.beep.tone, loop);
+        });
+    }
+
+    playTone(tone, loop) {
+        SoundLibrary.playTone(tone, this.volume);
+        if (loop) {
+            this.timer = setInterval(() => SoundLibrary.playTone(tone, this.volume), CONFIG.alarm.beepInterval);
+        }
+    }
+
+    setVolume(volume) {
+        this.volume = volume;
+        if (this.audio) this.audio.volume = volume;
+    }
+
+    stop() {
+        if (this.audio) {
+            this.audio.pause();
+            this.audio = null;
+        }
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        if (this.objectUrl) {
+            URL.revokeObjectURL(this.objectUrl);
+            this.objectUrl = null;
+        }
+    }
+}
+
+// Built-in tones plus user uploads kept in IndexedDB so they work offline.
+// Custom sounds are referenced as "custom:<id>" in the sound settings.
+class SoundLibrary {
+    static getSettings() {
+        const settings = {};
+        let stored = {};
+
+        try {
+            stored = JSON.parse(localStorage.getItem("soundSettings")) || {};
+        } catch (error) {
+            console.error('Error loading sound settings:', error);
+        }
+
+        Object.entries(CONFIG.sounds.levels).forEach(([level, defaults]) => {
+            const saved = stored[level] || {};
+            const volume = parseFloat(saved.volume);
+            settings[level] = {
+                sound: saved.sound || defaults.sound,
+                volume: volume >= 0 && volume <= 1 ? volume : defaults.volume
+            };
+        });
+        return settings;
+    }
+
+    static saveSettings(settings) {
+        localStorage.setItem("soundSettings", JSON.stringify(settings));
+    }
+
+    static async play(level, { loop = false, volume = null } = {}) {
+        const preference = this.getSettings()[level] || this.getSettings().arrived;
+        const handle = new SoundHandle(volume === null ? preference.volume : volume);
+        const sound = await this.resolveSound(preference.sound);
+
+        if (sound.blob) {
+            handle.objectUrl = URL.createObjectURL(sound.blob);
+            handle.playFile(handle.objectUrl, loop);
+        } else if (sound.src) {
+            handle.playFile(sound.src, loop);
+        } else if (sound.tone) {
+            handle.playTone(sound.tone, loop);
+        }
+        return handle;
+    }
+
+    static async resolveSound(soundId) {
+        if (CONFIG.sounds.builtIn[soundId]) {
+            return CONFIG.sounds.builtIn[soundId];
+        }
+
+        if (soundId && soundId.startsWith('custom:')) {
+            try {
+                const custom = await this.getCustomSound(soundId.slice('custom:'.length));
+                if (custom) return custom;
+            } catch (error) {
+                console.log('Custom sound unavailable:', error);
+            }
+        }
+        return CONFIG.sounds.builtIn.classic;
+    }
+
+    static playTone(tone, volume) {
+        if (volume <= 0) return;
+
+        try {
+            if (!this.audioContext) {
+                this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            }
+            const context = this.audioContext;
+            const noteLength = 0.3;
+
+            tone.frequencies.forEach((frequency, index) => {
+                const start = context.currentTime + index * noteLength;
+                const oscillator = context.createOscillator();
+                const gainNode = context.createGain();
+
+                oscillator.connect(gainNode);
+                gainNode.connect(context.destination);
+
+                oscillator.frequency.value = frequency;
+                oscillator.type = tone.wave;
+                gainNode.gain.setValueAtTime(volume, start);
+                gainNode.gain.exponentialRampToValueAtTime(0.01, start + noteLength);
+
+                oscillator.start(start);
+                oscillator.stop(start + noteLength);
+            });
+        } catch (error) {
+            console.log('Tone playback failed:', error);
+        }
+    }
+
+    static openDatabase() {
+        return new Promise((resolve, reject) => {
+            if (!('indexedDB' in window)) {
+                reject(new Error('IndexedDB is not supported'));
+                return;
+            }
+
+            const request = indexedDB.open(CONFIG.sounds.database, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore('sounds', { keyPath: 'id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    static async runTransaction(mode, operation) {
+        const db = await this.openDatabase();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction('sounds', mode);
+            const request = operation(transaction.objectStore('sounds'));
+
+            transaction.oncomplete = () => {
+                db.close();
+                resolve(request ? request.result : undefined);
+            };
+            transaction.onerror = () => {
+                db.close();
+                reject(transaction.error);
+            };
+        });
+    }
+
+    static async getCustomSounds() {
+        const sounds = await this.runTransaction('readonly', store => store.getAll());
+        return (sounds || []).map(sound => ({ id: sound.id, label: sound.label }));
+    }
+
+    static getCustomSound(id) {
+        return this.runTransaction('readonly', store => store.get(id));
+    }
+
+    static async addCustomSound(file) {
+        if (!file.type.startsWith('audio/')) {
+            throw new Error('Please choose an audio file');
+        }
+        if (file.size > CONFIG.sounds.maxUploadSize) {
+            throw new Error('Audio file is too large (max 5 MB)');
+        }
+
+        const sound = {
+            id: Utils.generateId(),
+            label: file.name.replace(/\.[^.]+$/, ''),
+            blob: file
+        };
+        await this.runTransaction('readwrite', store => store.put(sound));
+        return { id: sound.id, label: sound.label };
+    }
+
+    // Full records including the audio blob, for backups
+    static async getCustomSoundRecords() {
+        return (await this.runTransaction('readonly', store => store.getAll())) || [];
+    }
+
+    static putCustomSound(sound) {
+        return this.runTransaction('readwrite', store => store.put(sound));
+    }
+
+    static clearCustomSounds() {
+        return this.runTransaction('readwrite', store => store.clear());
+    }
+
+    static async removeCustomSound(id) {
+        await this.runTransaction('readwrite', store => store.delete(id));
+
+        // Fall back to the default sound wherever the removed one was used
+        const settings = this.getSettings();
+        Object.keys(settings).forEach(level => {
+            if (settings[level].sound === `custom:${id}`) {
+                settings[level].sound = CONFIG.sounds.levels[level].sound;
+            }
+        });
+        this.saveSettings(settings);
+    }
+}
+
 // =============================================================================
 // ERROR HANDLING
 // =============================================================================
@@ -497,6 +1072,8 @@ class ErrorHandler {
                 suggestions = 'Please try refreshing the page';
                 break;
         }
+
+        TrackingService.emit('error', { code: error.code, message: message });
         
         notificationSystem.show(
             `${message}. ${suggestions}`, 
@@ -519,88 +1096,476 @@ class ErrorHandler {
 // API SERVICES
 // =============================================================================
 
-class LocationService {
-    static async searchDestinations(query) {
-        const response = await Utils.retryOperation(async () => {
-            const res = await fetch(
-                `${CONFIG.api.nominatim}/search?format=json&limit=8&countrycodes=lk&q=${encodeURIComponent(query + ' Sri Lanka')}`,
-                { timeout: 10000 }
-            );
-            if (!res.ok) throw new Error('Search failed');
-            return res;
-        });
+// Geocoding answers kept in localStorage so repeated lookups skip the network
+class GeocodeCache {
+    static load() {
+        try {
+            return JSON.parse(localStorage.getItem("geocodeCache")) || {};
+        } catch (error) {
+            console.error('Error loading geocode cache:', error);
+            return {};
+        }
+    }
 
-        return await response.json();
+    // Answers depend on the search region, so each region gets its own entries
+    static getKey(kind, query) {
+        return `${kind}:${RegionSettings.getScope()}:${query.trim().toLowerCase()}`;
     }
 
-    static async validateDestination(destination) {
+    static get(kind, query) {
+        const entry = this.load()[this.getKey(kind, query)];
+        if (!entry || Date.now() - entry.timestamp > CONFIG.geocoding.cacheTtl) return null;
+        return entry.results;
+    }
+
+    static set(kind, query, results) {
         try {
-            const response = await fetch(
-                `${CONFIG.api.nominatim}/search?format=json&limit=1&q=${encodeURIComponent(destination)}`
-            );
-            const data = await response.json();
-            return data && data.length > 0;
+            const cache = this.load();
+            cache[this.getKey(kind, query)] = { results: results, timestamp: Date.now() };
+
+            // Drop expired entries, then the oldest ones beyond the limit
+            const entries = Object.entries(cache)
+                .filter(([, entry]) => Date.now() - entry.timestamp <= CONFIG.geocoding.cacheTtl)
+                .sort((a, b) => b[1].timestamp - a[1].timestamp)
+                .slice(0, CONFIG.geocoding.maxCacheEntries);
+
+            localStorage.setItem("geocodeCache", JSON.stringify(Object.fromEntries(entries)));
         } catch (error) {
-            console.error('Destination validation error:', error);
-            return false;
+            console.error('Error saving geocode cache:', error);
+        }
+    }
+}
+
+// Every provider returns places in the same shape:
+// { id, name, displayName, lat, lng, type, provider, osmType, osmId }
+
+class NominatimProvider {
+    static get id() { return 'nominatim'; }
+    static get label() { return 'OpenStreetMap Nominatim'; }
+
+    static async search(query, { limit }) {
+        const region = RegionSettings.getRegion();
+        const near = RegionSettings.getBiasPoint();
+        let filter = `&q=${encodeURIComponent(query)}`;
+
+        if (region.countryCodes.length > 0) {
+            filter += `&countrycodes=${region.countryCodes.join(',')}`;
         }
+        // Without bounded=1 the viewbox only ranks nearby matches first
+        if (near) {
+            filter += `&viewbox=${RegionSettings.getBiasBox(near).join(',')}`;
+        }
+
+        const response = await Utils.retryOperation(async () => {
+            const res = await fetch(`${CONFIG.api.nominatim}/search?format=json&limit=${limit}${filter}`);
+            if (!res.ok) throw new Error('Nominatim search failed');
+            return res;
+        });
+
+        const results = await response.json();
+        return results.map(result => this.normalize(result));
     }
 
-    static async geocodeDestination(destination) {
+    static async reverse(lat, lng) {
         const response = await Utils.retryOperation(async () => {
-            const res = await fetch(
-                `${CONFIG.api.nominatim}/search?format=json&q=${encodeURIComponent(destination)}`
-            );
-            if (!res.ok) throw new Error('Geocoding failed');
+            const res = await fetch(`${CONFIG.api.nominatim}/reverse?format=json&zoom=18&lat=${lat}&lon=${lng}`);
+            if (!res.ok) throw new Error('Nominatim reverse lookup failed');
             return res;
         });
 
-        return await response.json();
+        const result = await response.json();
+        return result && !result.error ? this.normalize(result) : null;
+    }
+
+    static normalize(result) {
+        return {
+            id: `nominatim:${result.osm_type}/${result.osm_id}`,
+            name: result.name || result.display_name.split(',')[0],
+            displayName: result.display_name,
+            lat: parseFloat(result.lat),
+            lng: parseFloat(result.lon),
+            type: result.type || null,
+            provider: this.id,
+            osmType: result.osm_type || null,
+            osmId: result.osm_id || null
+        };
     }
 }
 
-// =============================================================================
-// STORAGE SERVICES
-// =============================================================================
+class PhotonProvider {
+    static get id() { return 'photon'; }
+    static get label() { return 'Photon'; }
 
-class StorageService {
-    static saveSearchHistory(destination) {
-        try {
-            let history = JSON.parse(localStorage.getItem("searchHistory")) || [];
-            
-            // Remove existing entry to avoid duplicates
-            history = history.filter(item => {
-                const query = typeof item === 'string' ? item : item.query;
-                return query !== destination;
-            });
-            
-            const newEntry = {
-                query: destination,
-                timestamp: new Date().toISOString(),
-                id: Utils.generateId()
-            };
-            
-            history.unshift(newEntry);
-            
-            if (history.length > CONFIG.storage.maxHistory) {
-                history = history.slice(0, CONFIG.storage.maxHistory);
-            }
-            
-            localStorage.setItem("searchHistory", JSON.stringify(history));
-        } catch (error) {
-            console.error('Error saving search history:', error);
+    static async search(query, { limit }) {
+        // Photon has no country filter, so the region's bounding box stands in for it
+        const region = RegionSettings.getRegion();
+        const near = RegionSettings.getBiasPoint();
+        let filter = region.bbox ? `&bbox=${region.bbox.join(',')}` : '';
+
+        if (near) {
+            filter += `&lat=${near.lat}&lon=${near.lng}`;
         }
+
+        const response = await Utils.retryOperation(async () => {
+            const res = await fetch(
+                `${CONFIG.api.photon}/api/?lang=en&limit=${limit}${filter}&q=${encodeURIComponent(query)}`
+            );
+            if (!res.ok) throw new Error('Photon search failed');
+            return res;
+        });
+
+        const data = await response.json();
+        return (data.features || []).map(feature => this.normalize(feature));
     }
 
-    static saveTripHistory(destination, distance, duration = 0) {
-        try {
+    static async reverse(lat, lng) {
+        const response = await Utils.retryOperation(async () => {
+            const res = await fetch(`${CONFIG.api.photon}/reverse?lang=en&lat=${lat}&lon=${lng}`);
+            if (!res.ok) throw new Error('Photon reverse lookup failed');
+            return res;
+        });
+
+        const data = await response.json();
+        const feature = (data.features || [])[0];
+        return feature ? this.normalize(feature) : null;
+    }
+
+    static normalize(feature) {
+        const props = feature.properties || {};
+        const [lng, lat] = feature.geometry.coordinates;
+        const osmTypes = { N: 'node', W: 'way', R: 'relation' };
+        const parts = [props.name, props.street, props.city, props.district, props.state, props.country]
+            .filter((part, index, all) => part && all.indexOf(part) === index);
+
+        return {
+            id: `photon:${props.osm_type}/${props.osm_id}`,
+            name: props.name || parts[0] || 'Unnamed place',
+            displayName: parts.join(', '),
+            lat: lat,
+            lng: lng,
+            type: props.osm_value || null,
+            provider: this.id,
+            osmType: osmTypes[props.osm_type] || null,
+            osmId: props.osm_id || null
+        };
+    }
+}
+
+// Works without a connection, but only knows the towns and stations bundled below
+class GazetteerProvider {
+    static get id() { return 'gazetteer'; }
+    static get label() { return 'Offline gazetteer'; }
+
+    // The bundled list only covers Sri Lanka
+    static coversRegion() {
+        const codes = RegionSettings.getRegion().countryCodes;
+        return codes.length === 0 || codes.includes('lk');
+    }
+
+    static async search(query, { limit }) {
+        const text = query.toLowerCase().replace(/,?\s*sri lanka\s*$/, '').trim();
+        if (!text || !this.coversRegion()) return [];
+
+        // "Kandy Road, Colombo" is in Colombo: only a whole part of an
+        // address names the town, not a word inside a street name
+        const words = new RegExp(`\\b${text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`);
+        const parts = text.split(',').map(part => part.trim());
+
+        const rank = (entry) => {
+            const name = entry.name.toLowerCase();
+            if (name === text) return 0;
+            if (name.startsWith(text)) return 1;
+            if (words.test(name)) return 2;
+            if (parts.includes(name)) return 3;
+            return -1;
+        };
+
+        // Equally good names are ordered by distance when biasing near the user
+        const near = RegionSettings.getBiasPoint();
+        const distance = (entry) => near ? Utils.haversine(near.lat, near.lng, entry.lat, entry.lng) : 0;
+
+        return SRI_LANKA_GAZETTEER
+            .map(entry => ({ entry, score: rank(entry) }))
+            .filter(match => match.score >= 0)
+            .sort((a, b) => a.score - b.score || distance(a.entry) - distance(b.entry))
+            .slice(0, limit)
+            .map(match => this.normalize(match.entry));
+    }
+
+    // Names the nearest bundled town, if there is one close enough
+    static async reverse(lat, lng) {
+        let nearest = null;
+        let nearestDistance = CONFIG.geocoding.nearbyDistance;
+
+        for (const entry of SRI_LANKA_GAZETTEER) {
+            const distance = Utils.haversine(lat, lng, entry.lat, entry.lng);
+            if (distance <= nearestDistance) {
+                nearest = entry;
+                nearestDistance = distance;
+            }
+        }
+
+        if (!nearest) return null;
+        const place = this.normalize(nearest);
+        return { ...place, name: `Near ${place.name}`, displayName: `Near ${place.displayName}` };
+    }
+
+    static normalize(entry) {
+        return {
+            id: `gazetteer:${entry.name.toLowerCase().replace(/\s+/g, '-')}`,
+            name: entry.name,
+            displayName: `${entry.name}, ${entry.district} District, Sri Lanka`,
+            lat: entry.lat,
+            lng: entry.lng,
+            type: entry.type,
+            provider: this.id,
+            osmType: null,
+            osmId: null
+        };
+    }
+}
+
+class LocationService {
+    static getProviders() {
+        const providers = {
+            [NominatimProvider.id]: NominatimProvider,
+            [PhotonProvider.id]: PhotonProvider,
+            [GazetteerProvider.id]: GazetteerProvider
+        };
+        return CONFIG.geocoding.providers.map(id => providers[id]).filter(Boolean);
+    }
+
+    // Ask each provider in turn and fail over to the next when one errors or finds nothing
+    static async search(query, mode) {
+        const cached = GeocodeCache.get(mode, query);
+        if (cached) return cached;
+
+        let lastError = null;
+        for (const provider of this.getProviders()) {
+            try {
+                const places = await provider.search(query, { mode, limit: CONFIG.geocoding.limits[mode] });
+                if (places.length > 0) {
+                    // Offline answers are cheap and should not hide better online ones later
+                    if (provider !== GazetteerProvider) {
+                        GeocodeCache.set(mode, query, places);
+                    }
+                    return places;
+                }
+            } catch (error) {
+                console.log(`${provider.label} failed, trying the next provider:`, error);
+                lastError = error;
+            }
+        }
+
+        if (lastError) throw lastError;
+        return [];
+    }
+
+    // Names a point on the map, or null when no provider knows it
+    static async reverseGeocode(lat, lng) {
+        const key = `${lat.toFixed(4)},${lng.toFixed(4)}`;
+        const cached = GeocodeCache.get('reverse', key);
+        if (cached) return cached[0];
+
+        for (const provider of this.getProviders()) {
+            try {
+                const place = await provider.reverse(lat, lng);
+                if (place) {
+                    if (provider !== GazetteerProvider) {
+                        GeocodeCache.set('reverse', key, [place]);
+                    }
+                    return place;
+                }
+            } catch (error) {
+                console.log(`${provider.label} reverse lookup failed, trying the next provider:`, error);
+            }
+        }
+        return null;
+    }
+
+    static formatCoordinates(lat, lng) {
+        return `${lat.toFixed(5)}, ${lng.toFixed(5)}`;
+    }
+
+    static searchDestinations(query) {
+        return this.search(query, 'autocomplete');
+    }
+
+    static async validateDestination(destination) {
+        try {
+            const places = await this.geocodeDestination(destination);
+            return places.length > 0;
+        } catch (error) {
+            console.error('Destination validation error:', error);
+            return false;
+        }
+    }
+
+    static geocodeDestination(destination) {
+        return this.search(destination, 'lookup');
+    }
+
+    // Drop matches that are just another entry for a place already listed
+    static getDistinctPlaces(places) {
+        const distinct = [];
+        for (const place of places) {
+            const duplicate = distinct.some(other =>
+                Utils.haversine(place.lat, place.lng, other.lat, other.lng) < CONFIG.geocoding.distinctDistance
+            );
+            if (!duplicate) distinct.push(place);
+            if (distinct.length >= CONFIG.geocoding.maxCandidates) break;
+        }
+        return distinct;
+    }
+}
+
+// =============================================================================
+// OFFLINE GAZETTEER
+// =============================================================================
+
+// Approximate centres of major Sri Lankan towns, stations and landmarks
+const SRI_LANKA_GAZETTEER = [
+    { name: 'Colombo', district: 'Colombo', type: 'city', lat: 6.9271, lng: 79.8612 },
+    { name: 'Colombo Fort Railway Station', district: 'Colombo', type: 'station', lat: 6.9344, lng: 79.8500 },
+    { name: 'Maradana Railway Station', district: 'Colombo', type: 'station', lat: 6.9289, lng: 79.8656 },
+    { name: 'Pettah Central Bus Stand', district: 'Colombo', type: 'bus_station', lat: 6.9337, lng: 79.8536 },
+    { name: 'Dehiwala-Mount Lavinia', district: 'Colombo', type: 'city', lat: 6.8402, lng: 79.8712 },
+    { name: 'Nugegoda', district: 'Colombo', type: 'town', lat: 6.8649, lng: 79.8997 },
+    { name: 'Maharagama', district: 'Colombo', type: 'town', lat: 6.8480, lng: 79.9265 },
+    { name: 'Sri Jayawardenepura Kotte', district: 'Colombo', type: 'city', lat: 6.8868, lng: 79.9187 },
+    { name: 'Kaduwela', district: 'Colombo', type: 'town', lat: 6.9330, lng: 79.9841 },
+    { name: 'Avissawella', district: 'Colombo', type: 'town', lat: 6.9533, lng: 80.2100 },
+    { name: 'Moratuwa', district: 'Colombo', type: 'city', lat: 6.7730, lng: 79.8816 },
+    { name: 'Moratuwa Railway Station', district: 'Colombo', type: 'station', lat: 6.7736, lng: 79.8822 },
+    { name: 'University of Moratuwa', district: 'Colombo', type: 'university', lat: 6.7951, lng: 79.9009 },
+    { name: 'Panadura', district: 'Kalutara', type: 'town', lat: 6.7132, lng: 79.9026 },
+    { name: 'Kalutara', district: 'Kalutara', type: 'town', lat: 6.5854, lng: 79.9607 },
+    { name: 'Negombo', district: 'Gampaha', type: 'city', lat: 7.2083, lng: 79.8358 },
+    { name: 'Gampaha', district: 'Gampaha', type: 'town', lat: 7.0897, lng: 79.9925 },
+    { name: 'Ja-Ela', district: 'Gampaha', type: 'town', lat: 7.0744, lng: 79.8919 },
+    { name: 'Kadawatha', district: 'Gampaha', type: 'town', lat: 7.0011, lng: 79.9536 },
+    { name: 'Katunayake', district: 'Gampaha', type: 'town', lat: 7.1697, lng: 79.8883 },
+    { name: 'Bandaranaike International Airport', district: 'Gampaha', type: 'aerodrome', lat: 7.1808, lng: 79.8841 },
+    { name: 'Kandy', district: 'Kandy', type: 'city', lat: 7.2906, lng: 80.6337 },
+    { name: 'Kandy Railway Station', district: 'Kandy', type: 'station', lat: 7.2916, lng: 80.6320 },
+    { name: 'Peradeniya', district: 'Kandy', type: 'town', lat: 7.2690, lng: 80.5970 },
+    { name: 'Matale', district: 'Matale', type: 'town', lat: 7.4675, lng: 80.6234 },
+    { name: 'Dambulla', district: 'Matale', type: 'town', lat: 7.8742, lng: 80.6511 },
+    { name: 'Sigiriya', district: 'Matale', type: 'village', lat: 7.9570, lng: 80.7603 },
+    { name: 'Nuwara Eliya', district: 'Nuwara Eliya', type: 'town', lat: 6.9497, lng: 80.7891 },
+    { name: 'Nanu Oya Railway Station', district: 'Nuwara Eliya', type: 'station', lat: 6.9418, lng: 80.7450 },
+    { name: 'Hatton', district: 'Nuwara Eliya', type: 'town', lat: 6.8916, lng: 80.5955 },
+    { name: 'Badulla', district: 'Badulla', type: 'town', lat: 6.9934, lng: 81.0550 },
+    { name: 'Ella', district: 'Badulla', type: 'village', lat: 6.8667, lng: 81.0466 },
+    { name: 'Ella Railway Station', district: 'Badulla', type: 'station', lat: 6.8756, lng: 81.0465 },
+    { name: 'Bandarawela', district: 'Badulla', type: 'town', lat: 6.8259, lng: 80.9982 },
+    { name: 'Haputale', district: 'Badulla', type: 'town', lat: 6.7656, lng: 80.9510 },
+    { name: 'Galle', district: 'Galle', type: 'city', lat: 6.0535, lng: 80.2210 },
+    { name: 'Galle Railway Station', district: 'Galle', type: 'station', lat: 6.0336, lng: 80.2149 },
+    { name: 'Hikkaduwa', district: 'Galle', type: 'town', lat: 6.1395, lng: 80.1063 },
+    { name: 'Unawatuna', district: 'Galle', type: 'village', lat: 6.0100, lng: 80.2490 },
+    { name: 'Matara', district: 'Matara', type: 'city', lat: 5.9549, lng: 80.5550 },
+    { name: 'Matara Railway Station', district: 'Matara', type: 'station', lat: 5.9485, lng: 80.5428 },
+    { name: 'Mirissa', district: 'Matara', type: 'village', lat: 5.9483, lng: 80.4716 },
+    { name: 'Tangalle', district: 'Hambantota', type: 'town', lat: 6.0243, lng: 80.7941 },
+    { name: 'Hambantota', district: 'Hambantota', type: 'town', lat: 6.1241, lng: 81.1185 },
+    { name: 'Tissamaharama', district: 'Hambantota', type: 'town', lat: 6.2786, lng: 81.2876 },
+    { name: 'Embilipitiya', district: 'Ratnapura', type: 'town', lat: 6.3439, lng: 80.8490 },
+    { name: 'Ratnapura', district: 'Ratnapura', type: 'city', lat: 6.6828, lng: 80.3992 },
+    { name: 'Kegalle', district: 'Kegalle', type: 'town', lat: 7.2513, lng: 80.3464 },
+    { name: 'Kurunegala', district: 'Kurunegala', type: 'city', lat: 7.4863, lng: 80.3647 },
+    { name: 'Puttalam', district: 'Puttalam', type: 'town', lat: 8.0362, lng: 79.8283 },
+    { name: 'Chilaw', district: 'Puttalam', type: 'town', lat: 7.5758, lng: 79.7953 },
+    { name: 'Anuradhapura', district: 'Anuradhapura', type: 'city', lat: 8.3114, lng: 80.4037 },
+    { name: 'Anuradhapura Railway Station', district: 'Anuradhapura', type: 'station', lat: 8.3225, lng: 80.4100 },
+    { name: 'Polonnaruwa', district: 'Polonnaruwa', type: 'town', lat: 7.9403, lng: 81.0188 },
+    { name: 'Habarana', district: 'Anuradhapura', type: 'village', lat: 8.0360, lng: 80.7500 },
+    { name: 'Trincomalee', district: 'Trincomalee', type: 'city', lat: 8.5874, lng: 81.2152 },
+    { name: 'Batticaloa', district: 'Batticaloa', type: 'city', lat: 7.7310, lng: 81.6747 },
+    { name: 'Ampara', district: 'Ampara', type: 'town', lat: 7.2975, lng: 81.6820 },
+    { name: 'Arugam Bay', district: 'Ampara', type: 'village', lat: 6.8399, lng: 81.8368 },
+    { name: 'Monaragala', district: 'Monaragala', type: 'town', lat: 6.8728, lng: 81.3507 },
+    { name: 'Jaffna', district: 'Jaffna', type: 'city', lat: 9.6615, lng: 80.0255 },
+    { name: 'Jaffna Railway Station', district: 'Jaffna', type: 'station', lat: 9.6594, lng: 80.0125 },
+    { name: 'Kilinochchi', district: 'Kilinochchi', type: 'town', lat: 9.3803, lng: 80.3770 },
+    { name: 'Vavuniya', district: 'Vavuniya', type: 'town', lat: 8.7514, lng: 80.4971 },
+    { name: 'Mannar', district: 'Mannar', type: 'town', lat: 8.9810, lng: 79.9044 },
+    { name: 'Mullaitivu', district: 'Mullaitivu', type: 'town', lat: 9.2671, lng: 80.8142 }
+];
+
+// =============================================================================
+// STORAGE SERVICES
+// =============================================================================
+
+class StorageService {
+    static saveSearchHistory(destination, settings = null, place = null) {
+        try {
+            let history = JSON.parse(localStorage.getItem("searchHistory")) || [];
+            
+            // Remove existing entry to avoid duplicates
+            history = history.filter(item => {
+                const query = typeof item === 'string' ? item : item.query;
+                return query !== destination;
+            });
+            
+            const newEntry = {
+                query: destination,
+                timestamp: new Date().toISOString(),
+                id: Utils.generateId()
+            };
+
+            if (settings) {
+                newEntry.settings = settings;
+            }
+
+            if (place && TripPlan.hasCoordinates(place)) {
+                newEntry.place = {
+                    lat: place.lat,
+                    lng: place.lng,
+                    type: place.type || null,
+                    displayName: place.displayName || destination
+                };
+            }
+            
+            history.unshift(newEntry);
+            
+            if (history.length > CONFIG.storage.maxHistory) {
+                history = history.slice(0, CONFIG.storage.maxHistory);
+            }
+            
+            localStorage.setItem("searchHistory", JSON.stringify(history));
+        } catch (error) {
+            console.error('Error saving search history:', error);
+        }
+    }
+
+    static findSearchEntry(query) {
+        try {
+            const history = JSON.parse(localStorage.getItem("searchHistory")) || [];
+            return history.find(item => typeof item !== 'string' && item.query === query) || null;
+        } catch (error) {
+            console.error('Error reading search history:', error);
+            return null;
+        }
+    }
+
+    static saveTripHistory(destination, distance, duration = 0, details = {}) {
+        try {
             const trips = JSON.parse(localStorage.getItem("tripHistory")) || [];
+            const tripSettings = AlarmSettings.normalize(details.settings);
             
             const newTrip = {
                 id: Utils.generateId(),
                 destination: destination,
                 distance: parseFloat(distance.toFixed(2)),
                 duration: duration,
+                type: tripSettings.trigger,
+                distanceMode: tripSettings.distanceMode,
+                radius: tripSettings.radius,
+                alerts: tripSettings.alerts,
+                timeAlerts: tripSettings.timeAlerts,
+                stops: TripPlan.normalizeStops(details.stops || [destination]),
+                path: BreadcrumbTrail.pack(details.path || []),
                 timestamp: new Date().toISOString(),
                 date: new Date().toLocaleDateString(),
                 time: new Date().toLocaleTimeString()
@@ -625,208 +1590,2549 @@ class StorageService {
             notificationSystem.show('Failed to save trip history', 'error');
         }
     }
-}
 
-// =============================================================================
-// MAP SERVICES
-// =============================================================================
+    static getTrips() {
+        try {
+            return JSON.parse(localStorage.getItem("tripHistory")) || [];
+        } catch (error) {
+            console.error('Error loading trip history:', error);
+            return [];
+        }
+    }
 
-class MapService {
-    static initializeMap(elementId, center = [7.8731, 80.7718], zoom = 8) {
-        const map = L.map(elementId, {
-            zoomControl: true,
-            attributionControl: false
-        });
+    static findTrip(id) {
+        return this.getTrips().find(trip => trip.id === id) || null;
+    }
 
-        L.tileLayer(CONFIG.api.tileLayers, {
-            attribution: 'Map © OpenStreetMap contributors',
-            maxZoom: 19
-        }).addTo(map);
+    // Only the user's own fields (label, note, tags) can be changed
+    static updateTrip(id, changes) {
+        const trips = this.getTrips();
+        const trip = trips.find(item => item.id === id);
+        if (!trip) return null;
 
-        map.setView(center, zoom);
-        return map;
+        if (changes.label !== undefined) {
+            const label = changes.label.trim();
+            if (label && label !== trip.destination) {
+                trip.label = label;
+            } else {
+                delete trip.label;
+            }
+        }
+        if (changes.note !== undefined) trip.note = changes.note.trim();
+        if (changes.tags !== undefined) trip.tags = this.normalizeTags(changes.tags);
+
+        localStorage.setItem("tripHistory", JSON.stringify(trips));
+        return trip;
     }
 
-    static createMarker(lat, lng, color = 'blue', popupText = '') {
-        const marker = L.marker([lat, lng], {
-            icon: L.icon({
-                iconUrl: `https://raw.githubusercontent.com/pointhi/leaflet-color-markers/master/img/marker-icon-${color}.png`,
-                shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/0.7.7/images/marker-shadow.png',
-                iconSize: [25, 41],
-                iconAnchor: [12, 41],
-                popupAnchor: [1, -34],
-                shadowSize: [41, 41]
-            })
-        });
+    static deleteTrip(id) {
+        const trips = this.getTrips().filter(trip => trip.id !== id);
+        localStorage.setItem("tripHistory", JSON.stringify(trips));
+    }
 
-        if (popupText) {
-            marker.bindPopup(popupText);
+    // Accepts "work, daily" or an array, drops blanks and repeats
+    static normalizeTags(tags) {
+        const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+        return Array.from(new Set(list.map(tag => String(tag).trim()).filter(Boolean)));
+    }
+
+    // The name shown for a trip: the user's label, or the destination it was tracked to
+    static getTripLabel(trip) {
+        return trip.label || trip.destination;
+    }
+}
+
+class SavedPlacesService {
+    static getAll() {
+        try {
+            return JSON.parse(localStorage.getItem("savedPlaces")) || [];
+        } catch (error) {
+            console.error('Error loading saved places:', error);
+            return [];
         }
+    }
 
-        return marker;
+    static find(id) {
+        return this.getAll().find(place => place.id === id) || null;
     }
 
-    static createRoute(map, startLat, startLng, endLat, endLng) {
-        return L.Routing.control({
-            waypoints: [
-                L.latLng(startLat, startLng),
-                L.latLng(endLat, endLng)
-            ],
-            routeWhileDragging: false,
-            addWaypoints: false,
-            draggableWaypoints: false,
-            createMarker: () => null,
-            lineOptions: {
-                styles: [
-                    { color: '#007bff', weight: 6, opacity: 0.8 }
-                ]
-            },
-            show: false
-        }).addTo(map);
+    static search(query) {
+        const text = query.toLowerCase();
+        if (!text) return [];
+
+        return this.getAll().filter(place =>
+            place.label.toLowerCase().includes(text) ||
+            (place.name || '').toLowerCase().includes(text)
+        );
+    }
+
+    static guessIcon(label) {
+        const text = label.toLowerCase();
+        if (text.includes('home')) return CONFIG.placeIcons.home;
+        if (text.includes('work') || text.includes('office')) return CONFIG.placeIcons.work;
+        if (text.includes('school') || text.includes('uni')) return CONFIG.placeIcons.school;
+        return CONFIG.placeIcons.favourite;
+    }
+
+    static save(place) {
+        try {
+            let places = this.getAll();
+
+            // Saving under an existing label replaces that place
+            places = places.filter(item => item.label.toLowerCase() !== place.label.toLowerCase());
+
+            const newPlace = {
+                id: Utils.generateId(),
+                label: place.label,
+                name: place.name || place.label,
+                lat: place.lat,
+                lng: place.lng,
+                icon: place.icon || this.guessIcon(place.label),
+                radius: place.radius || CONFIG.distances.arrived
+            };
+
+            places.unshift(newPlace);
+
+            if (places.length > CONFIG.storage.maxSavedPlaces) {
+                places = places.slice(0, CONFIG.storage.maxSavedPlaces);
+            }
+
+            localStorage.setItem("savedPlaces", JSON.stringify(places));
+            return newPlace;
+        } catch (error) {
+            console.error('Error saving place:', error);
+            notificationSystem.show('Failed to save place', 'error');
+            return null;
+        }
+    }
+
+    static remove(id) {
+        const places = this.getAll().filter(place => place.id !== id);
+        localStorage.setItem("savedPlaces", JSON.stringify(places));
     }
 }
 
 // =============================================================================
-// TRACKING LOGIC
+// BACKUP & RESTORE
 // =============================================================================
 
-class TrackingService {
-    static startPositionTracking() {
-        appState.isTracking = true;
-        
-        if (appState.watchId) {
-            navigator.geolocation.clearWatch(appState.watchId);
-        }
+// Moves all app data between devices as one JSON file:
+// { app, schemaVersion, exportedAt, data: { <localStorage key>: value }, sounds: [...] }
+// Custom sounds are included as data URLs.
+class BackupService {
+    static async create() {
+        const data = {};
+        [...CONFIG.backup.collections, ...CONFIG.backup.settings].forEach(key => {
+            data[key] = this.readKey(key);
+        });
 
-        appState.watchId = navigator.geolocation.watchPosition(
-            this.handlePositionUpdate.bind(this),
-            ErrorHandler.handleGeolocationError,
-            CONFIG.geolocation
-        );
+        let sounds = [];
+        try {
+            const records = await SoundLibrary.getCustomSoundRecords();
+            sounds = await Promise.all(records.map(async sound => ({
+                id: sound.id,
+                label: sound.label,
+                data: await this.blobToDataUrl(sound.blob)
+            })));
+        } catch (error) {
+            console.log('Custom sounds not included in backup:', error);
+        }
 
-        // Backup position requests
-        const backupInterval = setInterval(() => {
-            if (!appState.isTracking) {
-                clearInterval(backupInterval);
-                return;
-            }
-            
-            navigator.geolocation.getCurrentPosition(
-                this.handlePositionUpdate.bind(this),
-                (error) => console.log('Backup position request failed:', error),
-                CONFIG.geolocation
-            );
-        }, 10000);
+        return {
+            app: 'gps-alarm',
+            schemaVersion: CONFIG.backup.schemaVersion,
+            exportedAt: new Date().toISOString(),
+            data: data,
+            sounds: sounds
+        };
     }
 
-    static handlePositionUpdate(position) {
-        const lat = position.coords.latitude;
-        const lng = position.coords.longitude;
-        const accuracy = position.coords.accuracy;
-
-        this.updateUserMarker(lat, lng);
-        this.updateStatus(position);
-        this.updateRoute(lat, lng);
-        this.checkNotifications(lat, lng);
-        this.fitMapBounds(lat, lng);
+    static async download() {
+        const backup = await this.create();
+        const date = new Date().toISOString().slice(0, 10);
+        Utils.downloadFile(JSON.stringify(backup), `gps-alarm-backup-${date}.json`, 'application/json');
+        return backup;
     }
 
-    static updateUserMarker(lat, lng) {
-        if (!appState.userMarker) {
-            appState.userMarker = MapService.createMarker(lat, lng, 'blue', '📍 You are here');
-            appState.userMarker.addTo(appState.map);
-        } else {
-            appState.userMarker.setLatLng([lat, lng]);
+    static async read(file) {
+        let parsed;
+        try {
+            parsed = JSON.parse(await file.text());
+        } catch (error) {
+            throw new Error('This backup file is not valid JSON');
         }
+        return this.validate(this.migrate(parsed));
     }
 
-    static updateStatus(position) {
-        const lat = position.coords.latitude;
-        const lng = position.coords.longitude;
-        const accuracy = position.coords.accuracy;
-        
-        const distance = Utils.haversine(lat, lng, appState.destLat, appState.destLng);
-        
-        const statusEl = document.getElementById("status");
-        if (statusEl) {
-            const speed = position.coords.speed ? `${Math.round(position.coords.speed * 3.6)} km/h` : 'Unknown';
-            statusEl.innerHTML = `
-                Distance: ${distance.toFixed(2)} km<br>
-                Speed: ${speed}<br>
-                Accuracy: ±${Math.round(accuracy)}m
-            `;
+    // Upgrade older backups one version at a time
+    static migrate(backup) {
+        if (!backup || typeof backup !== 'object' || Array.isArray(backup)) {
+            throw new Error('This file is not a GPS Alarm backup');
+        }
+
+        let version = typeof backup.schemaVersion === 'number' ? backup.schemaVersion : 0;
+        if (version > CONFIG.backup.schemaVersion) {
+            throw new Error('This backup was made by a newer version of the app. Please update and try again.');
         }
+
+        let migrated = backup;
+        while (version < CONFIG.backup.schemaVersion) {
+            migrated = this.migrations[version](migrated);
+            version++;
+        }
+        return migrated;
     }
 
-    static updateRoute(lat, lng) {
-        if (!appState.routeControl) {
-            appState.routeControl = MapService.createRoute(
-                appState.map, lat, lng, appState.destLat, appState.destLng
-            );
-        } else {
-            appState.routeControl.setWaypoints([
-                L.latLng(lat, lng),
-                L.latLng(appState.destLat, appState.destLng)
-            ]);
+    static get migrations() {
+        return {
+            // Version 0: a plain copy of the localStorage keys, values possibly still JSON strings
+            0: (dump) => {
+                const data = {};
+                ['searchHistory', 'tripHistory', 'gpsAlarmUsers'].forEach(key => {
+                    try {
+                        const value = typeof dump[key] === 'string' ? JSON.parse(dump[key]) : dump[key];
+                        if (value !== undefined) data[key] = value;
+                    } catch (error) {
+                        throw new Error(`The backup's ${key} is damaged`);
+                    }
+                });
+                if (Object.keys(data).length === 0) {
+                    throw new Error('This file is not a GPS Alarm backup');
+                }
+                return { app: 'gps-alarm', schemaVersion: 1, exportedAt: null, data: data, sounds: [] };
+            }
+        };
+    }
+
+    // Give every record an id so merging can spot duplicates
+    static validate(backup) {
+        if (backup.app !== 'gps-alarm' || !backup.data || typeof backup.data !== 'object') {
+            throw new Error('This file is not a GPS Alarm backup');
         }
+
+        CONFIG.backup.collections.forEach(key => {
+            const records = backup.data[key];
+            if (records === undefined || records === null) return;
+            if (!Array.isArray(records)) {
+                throw new Error(`The backup's ${key} is damaged`);
+            }
+
+            backup.data[key] = records
+                .map(record => typeof record === 'string' && key === 'searchHistory' ?
+                    { query: record, timestamp: new Date().toISOString() } : record)
+                .filter(record => record && typeof record === 'object')
+                .map(record => this.sanitizeRecord(key, record));
+        });
+
+        backup.sounds = Array.isArray(backup.sounds) ?
+            backup.sounds.filter(sound => sound && sound.id && typeof sound.data === 'string') : [];
+        return backup;
     }
 
-    static checkNotifications(lat, lng) {
-        const distance = Utils.haversine(lat, lng, appState.destLat, appState.destLng);
-        
-        if (distance < CONFIG.distances.arrived && !appState.notified["arrived"]) {
-            this.handleArrival(distance);
-        } else if (distance < CONFIG.distances.close && !appState.notified["500m"]) {
-            notificationSystem.show('📍 500 meters remaining to destination', 'warning', CONFIG.notifications.durations.medium, true);
-            appState.notified["500m"] = true;
-        } else if (distance < CONFIG.distances.near && !appState.notified["1km"]) {
-            notificationSystem.show('📍 1 kilometer remaining to destination', 'info', CONFIG.notifications.durations.medium, true);
-            appState.notified["1km"] = true;
-        } else if (distance < CONFIG.distances.approaching && !appState.notified["2km"]) {
-            notificationSystem.show('📍 2 kilometers remaining to destination', 'info', CONFIG.notifications.durations.short);
-            appState.notified["2km"] = true;
+    // Restored values end up in markup and links, so ids are regenerated
+    // unless they look like ours and trip numbers must be numbers
+    static sanitizeRecord(key, record) {
+        const clean = { ...record, id: Utils.isGeneratedId(record.id) ? record.id : Utils.generateId() };
+        if (key === 'tripHistory') {
+            const toNumber = value => Number.isFinite(Number(value)) ? Number(value) : 0;
+            clean.distance = toNumber(record.distance);
+            clean.duration = toNumber(record.duration);
         }
+        return clean;
     }
 
-    static handleArrival(distance) {
-        const tripDuration = appState.trackingStartTime ? 
-            Math.round((new Date() - appState.trackingStartTime) / 60000) : 0;
-        
+    // mode is 'merge' (keep current data, add what is new) or 'replace'.
+    // Returns how many records were added and how many were skipped as duplicates.
+    static async restore(backup, mode) {
+        const summary = { added: 0, duplicates: 0 };
+        const limits = {
+            searchHistory: CONFIG.storage.maxHistory,
+            tripHistory: CONFIG.storage.maxTrips,
+            savedPlaces: CONFIG.storage.maxSavedPlaces
+        };
+
+        CONFIG.backup.collections.forEach(key => {
+            const incoming = backup.data[key];
+            if (!incoming) {
+                if (mode === 'replace') localStorage.removeItem(key);
+                return;
+            }
+
+            const current = mode === 'replace' ? [] : (this.readKey(key) || []);
+            const seen = new Set(current.flatMap(record => this.getRecordKeys(key, record)));
+            const added = incoming.filter(record => {
+                const keys = this.getRecordKeys(key, record);
+                if (keys.some(recordKey => seen.has(recordKey))) return false;
+                keys.forEach(recordKey => seen.add(recordKey));
+                return true;
+            });
+
+            summary.added += added.length;
+            summary.duplicates += incoming.length - added.length;
+
+            let records = [...current, ...added];
+            if (records.some(record => record.timestamp)) {
+                records.sort((a, b) => new Date(b.timestamp || 0) - new Date(a.timestamp || 0));
+            }
+            if (limits[key]) records = records.slice(0, limits[key]);
+
+            localStorage.setItem(key, JSON.stringify(records));
+        });
+
+        CONFIG.backup.settings.forEach(key => {
+            const value = backup.data[key];
+            if (!value) {
+                if (mode === 'replace') localStorage.removeItem(key);
+                return;
+            }
+            if (mode === 'replace' || !this.readKey(key)) {
+                localStorage.setItem(key, JSON.stringify(value));
+            }
+        });
+
+        await this.restoreSounds(backup.sounds, mode);
+        return summary;
+    }
+
+    // Ways a record can already be present: its id, and for searches the
+    // query (old string entries have no stable id), for accounts the
+    // username and email, which registration keeps unique
+    static getRecordKeys(collection, record) {
+        if (typeof record === 'string') return [`query:${record}`];
+
+        const keys = record.id !== undefined ? [`id:${record.id}`] : [];
+        if (collection === 'searchHistory' && record.query) {
+            keys.push(`query:${record.query}`);
+        }
+        if (collection === 'gpsAlarmUsers') {
+            if (record.username) keys.push(`username:${record.username}`);
+            if (record.email) keys.push(`email:${record.email}`);
+        }
+        return keys;
+    }
+
+    static async restoreSounds(sounds, mode) {
+        if (sounds.length === 0 && mode !== 'replace') return;
+
+        try {
+            if (mode === 'replace') await SoundLibrary.clearCustomSounds();
+            const existing = new Set((await SoundLibrary.getCustomSounds()).map(sound => sound.id));
+
+            for (const sound of sounds) {
+                if (existing.has(sound.id)) continue;
+                const blob = await (await fetch(sound.data)).blob();
+                await SoundLibrary.putCustomSound({ id: sound.id, label: sound.label, blob: blob });
+            }
+        } catch (error) {
+            console.log('Custom sounds could not be restored:', error);
+        }
+    }
+
+    static readKey(key) {
+        try {
+            return JSON.parse(localStorage.getItem(key));
+        } catch (error) {
+            console.error(`Error reading ${key}:`, error);
+            return null;
+        }
+    }
+
+    static blobToDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+}
+
+// =============================================================================
+// ALARM SETTINGS
+// =============================================================================
+
+class AlarmSettings {
+    static getDefaults() {
+        return {
+            trigger: 'arrival',
+            distanceMode: 'route',
+            radius: CONFIG.distances.arrived,
+            alerts: CONFIG.alerts.map(alert => ({ ...alert })),
+            timeAlerts: []
+        };
+    }
+
+    // Clean up settings coming from the form, sessionStorage or old trip records.
+    // Pre-alerts are kept outside the arrival radius and sorted closest first.
+    static normalize(settings) {
+        const defaults = this.getDefaults();
+        if (!settings) return defaults;
+
+        const radius = parseFloat(settings.radius) > 0 ? parseFloat(settings.radius) : defaults.radius;
+        const alerts = Array.isArray(settings.alerts) ? settings.alerts : defaults.alerts;
+        const timeAlerts = Array.isArray(settings.timeAlerts) ? settings.timeAlerts : defaults.timeAlerts;
+
+        return {
+            trigger: CONFIG.triggers[settings.trigger] ? settings.trigger : defaults.trigger,
+            distanceMode: CONFIG.distanceModes[settings.distanceMode] ? settings.distanceMode : defaults.distanceMode,
+            radius: radius,
+            alerts: alerts
+                .map(alert => {
+                    const distance = parseFloat(alert.distance);
+                    return {
+                        distance: distance,
+                        message: (alert.message || '').trim() ||
+                            `📍 ${this.formatDistance(distance)} remaining to destination`,
+                        severity: CONFIG.severities[alert.severity] ? alert.severity : 'medium'
+                    };
+                })
+                .filter(alert => alert.distance > radius)
+                .sort((a, b) => a.distance - b.distance),
+            timeAlerts: timeAlerts
+                .map(alert => {
+                    const minutes = parseFloat(alert.minutes);
+                    return {
+                        minutes: minutes,
+                        message: (alert.message || '').trim() ||
+                            `⏰ About ${minutes} minutes to destination`,
+                        severity: CONFIG.severities[alert.severity] ? alert.severity : 'medium'
+                    };
+                })
+                .filter(alert => alert.minutes > 0)
+                .sort((a, b) => a.minutes - b.minutes)
+        };
+    }
+
+    static fromTrip(trip) {
+        return this.normalize({
+            trigger: trip.type,
+            distanceMode: trip.distanceMode,
+            radius: trip.radius,
+            alerts: trip.alerts,
+            timeAlerts: trip.timeAlerts
+        });
+    }
+
+    static load() {
+        try {
+            return this.normalize(JSON.parse(sessionStorage.getItem("tripSettings")));
+        } catch (error) {
+            console.error('Error loading trip settings:', error);
+            return this.getDefaults();
+        }
+    }
+
+    static save(settings) {
+        const normalized = this.normalize(settings);
+        sessionStorage.setItem("tripSettings", JSON.stringify(normalized));
+        return normalized;
+    }
+
+    static formatDistance(km) {
+        if (km < 1) return `${Math.round(km * 1000)} meters`;
+        return km === 1 ? '1 kilometer' : `${km} kilometers`;
+    }
+}
+
+// =============================================================================
+// REGION SETTINGS
+// =============================================================================
+
+// Where place searches look and where maps open. Kept in localStorage since
+// it rarely changes between trips.
+class RegionSettings {
+    static load() {
+        try {
+            const settings = JSON.parse(localStorage.getItem("regionSettings")) || {};
+            return {
+                region: CONFIG.regions[settings.region] ? settings.region : CONFIG.region.default,
+                biasNearby: settings.biasNearby === true
+            };
+        } catch (error) {
+            console.error('Error loading region settings:', error);
+            return { region: CONFIG.region.default, biasNearby: false };
+        }
+    }
+
+    static save(settings) {
+        const normalized = {
+            region: CONFIG.regions[settings.region] ? settings.region : CONFIG.region.default,
+            biasNearby: !!settings.biasNearby
+        };
+        localStorage.setItem("regionSettings", JSON.stringify(normalized));
+        return normalized;
+    }
+
+    static getRegion() {
+        return CONFIG.regions[this.load().region];
+    }
+
+    // Cached searches are reused for the same region and, when biasing, roughly the same position
+    static getScope() {
+        const settings = this.load();
+        if (!settings.biasNearby) return settings.region;
+
+        const point = this.getLastFix();
+        if (!point) return `${settings.region}+near`;
+
+        const decimals = CONFIG.region.biasCacheDecimals;
+        return `${settings.region}+near@${point.lat.toFixed(decimals)},${point.lng.toFixed(decimals)}`;
+    }
+
+    static saveLastFix(lat, lng, force = false) {
+        const last = this.getLastFix();
+        if (!force && last && Date.now() - last.timestamp < CONFIG.region.fixSaveInterval) return;
+
+        try {
+            localStorage.setItem("lastFix", JSON.stringify({ lat, lng, timestamp: Date.now() }));
+        } catch (error) {
+            console.error('Error saving last position:', error);
+        }
+    }
+
+    static getLastFix() {
+        try {
+            const fix = JSON.parse(localStorage.getItem("lastFix"));
+            if (!fix || Date.now() - fix.timestamp > CONFIG.region.fixMaxAge) return null;
+            return fix;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // The point searches should favour, or null when biasing is off or no fix is known
+    static getBiasPoint() {
+        return this.load().biasNearby ? this.getLastFix() : null;
+    }
+
+    // [west, north, east, south] around a point, as Nominatim's viewbox expects
+    static getBiasBox(point) {
+        const latDelta = CONFIG.region.biasRadius / 111;
+        const lngDelta = latDelta / Math.max(Math.cos(Utils.deg2rad(point.lat)), 0.01);
+        return [point.lng - lngDelta, point.lat + latDelta, point.lng + lngDelta, point.lat - latDelta];
+    }
+}
+
+// =============================================================================
+// TRIP PLANS
+// =============================================================================
+
+// The trip handed from the home page to track.html. Stops may already carry
+// coordinates (saved places, picked suggestions) so they skip geocoding.
+// The home page never tracks: track.html starts every trip through GPSAlarm.
+class TripPlan {
+    // route is an optional imported line ([{ lat, lng }]) shown while tracking
+    static save(destination, stops, settings, route = null) {
+        sessionStorage.setItem("destination", destination);
+        sessionStorage.setItem("tripStops", JSON.stringify(this.normalizeStops(stops)));
+        if (route && route.length > 1) {
+            sessionStorage.setItem("tripRoute", JSON.stringify({ destination, points: route }));
+        } else {
+            sessionStorage.removeItem("tripRoute");
+        }
+        return AlarmSettings.save(settings);
+    }
+
+    static loadRoute(destination) {
+        try {
+            const route = JSON.parse(sessionStorage.getItem("tripRoute"));
+            if (route && route.destination === destination && Array.isArray(route.points)) {
+                return route.points.filter(point => this.hasCoordinates(point));
+            }
+        } catch (error) {
+            console.error('Error loading trip route:', error);
+        }
+        return [];
+    }
+
+    static normalizeStops(stops) {
+        return (stops || []).map(stop => {
+            if (typeof stop === 'string') return { name: stop };
+
+            const normalized = { name: stop.name };
+            if (this.hasCoordinates(stop)) {
+                normalized.lat = parseFloat(stop.lat);
+                normalized.lng = parseFloat(stop.lng);
+            }
+            // Keep the OSM reference so the exact place picked can be told apart
+            if (stop.osmType && stop.osmId) {
+                normalized.osmType = stop.osmType;
+                normalized.osmId = stop.osmId;
+            }
+            return normalized;
+        });
+    }
+
+    static hasCoordinates(stop) {
+        return !!stop && !isNaN(parseFloat(stop.lat)) && !isNaN(parseFloat(stop.lng));
+    }
+
+    static loadStops(destination) {
+        try {
+            const stops = this.normalizeStops(JSON.parse(sessionStorage.getItem("tripStops")));
+            // Ignore stops left over from a different trip
+            if (stops.length > 0 && stops[stops.length - 1].name === destination) {
+                return stops;
+            }
+        } catch (error) {
+            console.error('Error loading trip stops:', error);
+        }
+        return [{ name: destination }];
+    }
+}
+
+// =============================================================================
+// ETA ESTIMATION
+// =============================================================================
+
+class EtaEstimator {
+    static reset() {
+        appState.speedSamples = [];
+        appState.lastFix = null;
+    }
+
+    // Record the speed of a fix, from the device when it reports one,
+    // otherwise from the distance covered since the previous fix
+    static addFix(position) {
+        const now = position.timestamp || Date.now();
+        const lat = position.coords.latitude;
+        const lng = position.coords.longitude;
+        let speed = null;
+
+        if (typeof position.coords.speed === 'number' && position.coords.speed >= 0) {
+            speed = position.coords.speed * 3.6;
+        } else if (appState.lastFix && now > appState.lastFix.time) {
+            const km = Utils.haversine(appState.lastFix.lat, appState.lastFix.lng, lat, lng);
+            speed = km / ((now - appState.lastFix.time) / 3600000);
+        }
+
+        appState.lastFix = { lat, lng, time: now };
+
+        if (speed !== null && isFinite(speed)) {
+            appState.speedSamples.push({ speed, time: now });
+        }
+
+        appState.speedSamples = appState.speedSamples
+            .filter(sample => now - sample.time <= CONFIG.eta.sampleWindow)
+            .slice(-CONFIG.eta.maxSamples);
+    }
+
+    // Average recent speed in km/h, or null while unknown
+    static getSpeed() {
+        if (appState.speedSamples.length === 0) return null;
+        const total = appState.speedSamples.reduce((sum, sample) => sum + sample.speed, 0);
+        return total / appState.speedSamples.length;
+    }
+
+    // Minutes until arrival for the given remaining distance in km
+    static estimate(distance) {
+        const speed = this.getSpeed();
+        if (speed === null || speed < CONFIG.eta.minSpeed) return null;
+        return (distance / speed) * 60;
+    }
+
+    static format(minutes) {
+        if (minutes === null) return 'Unknown';
+        if (minutes < 1) return '< 1 min';
+        if (minutes < 60) return `~${Math.round(minutes)} min`;
+        return `~${Math.floor(minutes / 60)} h ${Math.round(minutes % 60)} min`;
+    }
+}
+
+// =============================================================================
+// BREADCRUMB TRAIL
+// =============================================================================
+
+// Fixes recorded during a trip as { time, lat, lng, accuracy, speed }.
+// Saved trips keep a simplified copy packed as [time, lat, lng, accuracy, speed]
+// arrays (time in seconds) to stay small in localStorage.
+class BreadcrumbTrail {
+    // Returns the recorded point, or null when the fix was too rough or too close
+    static add(position) {
+        const accuracy = position.coords.accuracy;
+        if (accuracy > CONFIG.breadcrumbs.maxAccuracy) return null;
+
+        const lat = position.coords.latitude;
+        const lng = position.coords.longitude;
+        const last = appState.breadcrumbs[appState.breadcrumbs.length - 1];
+        if (last && Utils.haversine(last.lat, last.lng, lat, lng) < CONFIG.breadcrumbs.minDistance) return null;
+
+        const speed = typeof position.coords.speed === 'number' && position.coords.speed >= 0 ?
+            position.coords.speed * 3.6 : EtaEstimator.getSpeed();
+
+        const point = {
+            time: position.timestamp || Date.now(),
+            lat: lat,
+            lng: lng,
+            accuracy: Math.round(accuracy),
+            speed: speed !== null ? Math.round(speed) : null
+        };
+        appState.breadcrumbs.push(point);
+        return point;
+    }
+
+    // Simplify until the path fits in maxPoints
+    static compact(points) {
+        let tolerance = CONFIG.breadcrumbs.tolerance;
+        let simplified = this.simplify(points, tolerance);
+        while (simplified.length > CONFIG.breadcrumbs.maxPoints) {
+            tolerance *= 2;
+            simplified = this.simplify(points, tolerance);
+        }
+        return simplified;
+    }
+
+    // Douglas-Peucker: drop points closer than tolerance (km) to the line between kept neighbours
+    static simplify(points, tolerance) {
+        if (points.length < 3) return points.slice();
+
+        const keep = new Array(points.length).fill(false);
+        keep[0] = keep[points.length - 1] = true;
+        const ranges = [[0, points.length - 1]];
+
+        while (ranges.length > 0) {
+            const [first, last] = ranges.pop();
+            let farthest = -1;
+            let farthestDistance = tolerance;
+
+            for (let i = first + 1; i < last; i++) {
+                const d = this.distanceToSegment(points[i], points[first], points[last]);
+                if (d > farthestDistance) {
+                    farthest = i;
+                    farthestDistance = d;
+                }
+            }
+
+            if (farthest !== -1) {
+                keep[farthest] = true;
+                ranges.push([first, farthest], [farthest, last]);
+            }
+        }
+
+        return points.filter((point, index) => keep[index]);
+    }
+
+    // Distance in km from p to the segment a-b, on a flat projection around a
+    static distanceToSegment(p, a, b) {
+        const kmPerLng = 111.32 * Math.cos(Utils.deg2rad(a.lat));
+        const toXY = (point) => [(point.lng - a.lng) * kmPerLng, (point.lat - a.lat) * 110.57];
+
+        const [px, py] = toXY(p);
+        const [bx, by] = toXY(b);
+        const lengthSq = bx * bx + by * by;
+        const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, (px * bx + py * by) / lengthSq));
+
+        return Math.hypot(px - t * bx, py - t * by);
+    }
+
+    static pack(points) {
+        return this.compact(points).map(point => [
+            Math.round(point.time / 1000),
+            parseFloat(point.lat.toFixed(6)),
+            parseFloat(point.lng.toFixed(6)),
+            point.accuracy,
+            point.speed
+        ]);
+    }
+
+    static unpack(path) {
+        return (path || []).map(([time, lat, lng, accuracy, speed]) => ({
+            time: time * 1000, lat, lng, accuracy, speed
+        }));
+    }
+
+    static draw(map, points) {
+        return MapService.createPolyline(points, CONFIG.breadcrumbs.style).addTo(map);
+    }
+}
+
+// =============================================================================
+// TRIP STATISTICS
+// =============================================================================
+
+// Figures for the statistics dashboard, all computed from saved trips
+class TripStats {
+    static filter(trips, { from = '', to = '', destination = '' } = {}) {
+        return TripExporter.filterByDate(trips, from, to)
+            .filter(trip => !destination || StorageService.getTripLabel(trip) === destination);
+    }
+
+    // Distance actually travelled, or null for trips recorded without a route.
+    // Their saved distance is only what was left at arrival, and the start
+    // point was never stored.
+    static getDistance(trip) {
+        const points = BreadcrumbTrail.unpack(trip.path);
+        if (points.length < 2) return null;
+
+        let distance = 0;
+        for (let i = 1; i < points.length; i++) {
+            distance += Utils.haversine(points[i - 1].lat, points[i - 1].lng, points[i].lat, points[i].lng);
+        }
+        return distance;
+    }
+
+    static getStartTime(trip) {
+        return new Date(new Date(trip.timestamp).getTime() - (trip.duration || 0) * 60000);
+    }
+
+    static summarize(trips) {
+        const measured = trips.filter(trip => this.getDistance(trip) !== null);
+        const distance = measured.reduce((sum, trip) => sum + this.getDistance(trip), 0);
+        const duration = trips.reduce((sum, trip) => sum + (trip.duration || 0), 0);
+
+        // Speed only from trips with both a route and a duration
+        const timed = measured.filter(trip => trip.duration > 0);
+        const timedDistance = timed.reduce((sum, trip) => sum + this.getDistance(trip), 0);
+        const timedHours = timed.reduce((sum, trip) => sum + trip.duration, 0) / 60;
+
+        return {
+            trips: trips.length,
+            measured: measured.length,
+            distance: distance,
+            duration: duration,
+            averageSpeed: timedHours > 0 ? timedDistance / timedHours : null
+        };
+    }
+
+    static getPeriodStart(date, period) {
+        if (period === 'month') {
+            return new Date(date.getFullYear(), date.getMonth(), 1);
+        }
+        // Weeks start on Monday
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() - (date.getDay() + 6) % 7);
+    }
+
+    static getPreviousPeriod(start, period) {
+        return period === 'month' ?
+            new Date(start.getFullYear(), start.getMonth() - 1, 1) :
+            new Date(start.getFullYear(), start.getMonth(), start.getDate() - 7);
+    }
+
+    static getPeriodKey(start, period) {
+        const month = `${start.getFullYear()}-${String(start.getMonth() + 1).padStart(2, '0')}`;
+        return period === 'month' ? month : `${month}-${String(start.getDate()).padStart(2, '0')}`;
+    }
+
+    // Every period up to the latest trip, empty ones included so gaps show
+    static tripsPerPeriod(trips, period) {
+        const counts = new Map();
+        let earliest = null;
+        let latest = null;
+
+        trips.forEach(trip => {
+            const start = this.getPeriodStart(this.getStartTime(trip), period);
+            if (isNaN(start)) return;
+
+            const key = this.getPeriodKey(start, period);
+            counts.set(key, (counts.get(key) || 0) + 1);
+            if (!earliest || start < earliest) earliest = start;
+            if (!latest || start > latest) latest = start;
+        });
+
+        const items = [];
+        for (let start = latest; start && start >= earliest && items.length < CONFIG.stats.maxPeriods;
+            start = this.getPreviousPeriod(start, period)) {
+            const key = this.getPeriodKey(start, period);
+            items.unshift({
+                label: period === 'month' ? key : key.slice(5),
+                value: counts.get(key) || 0
+            });
+        }
+        return items;
+    }
+
+    static tripsByHour(trips) {
+        const hours = new Array(24).fill(0);
+        trips.forEach(trip => hours[this.getStartTime(trip).getHours()]++);
+        return hours.map((count, hour) => ({ label: String(hour), value: count }));
+    }
+
+    static groupByDestination(trips) {
+        const groups = new Map();
+        trips.forEach(trip => {
+            const label = StorageService.getTripLabel(trip);
+            if (!groups.has(label)) groups.set(label, []);
+            groups.get(label).push(trip);
+        });
+        return groups;
+    }
+
+    static topDestinations(trips) {
+        return Array.from(this.groupByDestination(trips).entries())
+            .map(([destination, group]) => ({ label: destination, value: group.length }))
+            .sort((a, b) => b.value - a.value)
+            .slice(0, CONFIG.stats.maxDestinations);
+    }
+
+    static averageDurationByDestination(trips) {
+        return Array.from(this.groupByDestination(trips).entries())
+            .map(([destination, group]) => {
+                const timed = group.filter(trip => trip.duration > 0);
+                const average = timed.length > 0 ?
+                    timed.reduce((sum, trip) => sum + trip.duration, 0) / timed.length : 0;
+                return { label: destination, value: Math.round(average), count: group.length };
+            })
+            .filter(item => item.value > 0)
+            .sort((a, b) => b.count - a.count)
+            .slice(0, CONFIG.stats.maxDestinations);
+    }
+}
+
+// Small SVG charts drawn locally, no chart library needed
+class SvgChart {
+    // Vertical bars, one per { label, value }
+    static columns(items, unit = '') {
+        const width = 320;
+        const height = 140;
+        const chartHeight = height - 20;
+        const max = Math.max(1, ...items.map(item => item.value));
+        const slot = width / Math.max(items.length, 1);
+        const barWidth = Math.max(2, slot * 0.7);
+        const labelEvery = Math.ceil(items.length / 12);
+
+        const bars = items.map((item, index) => {
+            const barHeight = (item.value / max) * (chartHeight - 12);
+            const x = index * slot + (slot - barWidth) / 2;
+            const y = chartHeight - barHeight;
+            return `
+                <rect x="${x}" y="${y}" width="${barWidth}" height="${barHeight}" rx="2" fill="${CONFIG.stats.color}">
+                    <title>${Utils.escapeHtml(item.label)}: ${item.value}${unit}</title>
+                </rect>
+                ${item.value > 0 && items.length <= 12 ? `<text x="${x + barWidth / 2}" y="${y - 2}" text-anchor="middle" font-size="9" fill="#495057">${item.value}</text>` : ''}
+                ${index % labelEvery === 0 ? `<text x="${x + barWidth / 2}" y="${height - 6}" text-anchor="middle" font-size="9" fill="#6c757d">${Utils.escapeHtml(item.label)}</text>` : ''}
+            `;
+        }).join('');
+
+        return `<svg viewBox="0 0 ${width} ${height}" width="100%" role="img">${bars}</svg>`;
+    }
+
+    // Horizontal bars with the label on the left, for ranked lists
+    static rows(items, unit = '') {
+        const width = 320;
+        const rowHeight = 22;
+        const labelWidth = 120;
+        const max = Math.max(1, ...items.map(item => item.value));
+        const shorten = (text) => text.length > 20 ? `${text.slice(0, 19)}…` : text;
+
+        const rows = items.map((item, index) => {
+            const y = index * rowHeight;
+            const barWidth = (item.value / max) * (width - labelWidth - 45);
+            return `
+                <text x="0" y="${y + 15}" font-size="11" fill="#495057">${Utils.escapeHtml(shorten(item.label))}<title>${Utils.escapeHtml(item.label)}</title></text>
+                <rect x="${labelWidth}" y="${y + 4}" width="${barWidth}" height="${rowHeight - 8}" rx="2" fill="${CONFIG.stats.color}"></rect>
+                <text x="${labelWidth + barWidth + 5}" y="${y + 15}" font-size="11" fill="#6c757d">${item.value}${unit}</text>
+            `;
+        }).join('');
+
+        return `<svg viewBox="0 0 ${width} ${Math.max(items.length, 1) * rowHeight}" width="100%" role="img">${rows}</svg>`;
+    }
+}
+
+// =============================================================================
+// TRIP EXPORT
+// =============================================================================
+
+// Turns saved trips into files other mapping tools can open. Each trip exports
+// its stops (the last one is the destination), the recorded track and the
+// arrival point, which is the last recorded fix.
+class TripExporter {
+    static export(trips, format, filename) {
+        const builders = {
+            gpx: () => this.toGpx(trips),
+            geojson: () => JSON.stringify(this.toGeoJson(trips), null, 2),
+            kml: () => this.toKml(trips)
+        };
+        const type = CONFIG.exportFormats[format];
+        if (!type || !builders[format]) throw new Error(`Unknown export format: ${format}`);
+
+        Utils.downloadFile(builders[format](), `${filename}.${type.extension}`, type.mimeType);
+    }
+
+    static filterByDate(trips, from, to) {
+        // Date inputs give YYYY-MM-DD, the range includes the whole "to" day
+        const start = from ? new Date(`${from}T00:00:00`).getTime() : -Infinity;
+        const end = to ? new Date(`${to}T23:59:59.999`).getTime() : Infinity;
+        return trips.filter(trip => {
+            const time = new Date(trip.timestamp).getTime();
+            return time >= start && time <= end;
+        });
+    }
+
+    static getTripData(trip) {
+        const track = BreadcrumbTrail.unpack(trip.path);
+        const stops = (trip.stops || []).filter(stop => TripPlan.hasCoordinates(stop));
+        return {
+            stops: stops,
+            track: track,
+            arrival: track.length > 0 ? track[track.length - 1] : null,
+            description: `${trip.type === 'exit' ? 'Left area' : 'Arrived'} · ${trip.distance} km · ${trip.duration || 0} min`
+        };
+    }
+
+    static toGpx(trips) {
+        const esc = (text) => this.escapeXml(text);
+        const waypoints = [];
+        const tracks = [];
+
+        trips.forEach(trip => {
+            const data = this.getTripData(trip);
+
+            data.stops.forEach((stop, index) => {
+                const isFinal = index === data.stops.length - 1;
+                waypoints.push(`
+  <wpt lat="${stop.lat}" lon="${stop.lng}">
+    <name>${esc(stop.name)}</name>
+    <desc>${esc(StorageService.getTripLabel(trip))}</desc>
+    <type>${isFinal ? 'destination' : 'stop'}</type>
+  </wpt>`);
+            });
+
+            if (data.arrival) {
+                waypoints.push(`
+  <wpt lat="${data.arrival.lat}" lon="${data.arrival.lng}">
+    <time>${new Date(data.arrival.time).toISOString()}</time>
+    <name>${esc(`${trip.type === 'exit' ? 'Exit' : 'Arrival'}: ${StorageService.getTripLabel(trip)}`)}</name>
+    <desc>${esc(data.description)}</desc>
+    <type>${trip.type === 'exit' ? 'exit' : 'arrival'}</type>
+  </wpt>`);
+            }
+
+            if (data.track.length > 0) {
+                tracks.push(`
+  <trk>
+    <name>${esc(StorageService.getTripLabel(trip))}</name>
+    <desc>${esc(data.description)}</desc>
+    <type>${esc(trip.type)}</type>
+    <trkseg>${data.track.map(point => `
+      <trkpt lat="${point.lat}" lon="${point.lng}"><time>${new Date(point.time).toISOString()}</time></trkpt>`).join('')}
+    </trkseg>
+  </trk>`);
+            }
+        });
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="GPS Alarm" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata>
+    <name>GPS Alarm trips</name>
+    <time>${new Date().toISOString()}</time>
+  </metadata>${waypoints.join('')}${tracks.join('')}
+</gpx>
+`;
+    }
+
+    static toGeoJson(trips) {
+        const features = [];
+
+        trips.forEach(trip => {
+            const data = this.getTripData(trip);
+            const properties = {
+                tripId: trip.id,
+                destination: StorageService.getTripLabel(trip),
+                note: trip.note || '',
+                tags: trip.tags || [],
+                trigger: trip.type,
+                distance: trip.distance,
+                duration: trip.duration,
+                radius: trip.radius,
+                timestamp: trip.timestamp
+            };
+
+            data.stops.forEach((stop, index) => {
+                features.push({
+                    type: 'Feature',
+                    geometry: { type: 'Point', coordinates: [stop.lng, stop.lat] },
+                    properties: {
+                        ...properties,
+                        role: index === data.stops.length - 1 ? 'destination' : 'stop',
+                        name: stop.name
+                    }
+                });
+            });
+
+            if (data.arrival) {
+                features.push({
+                    type: 'Feature',
+                    geometry: { type: 'Point', coordinates: [data.arrival.lng, data.arrival.lat] },
+                    properties: { ...properties, role: trip.type === 'exit' ? 'exit' : 'arrival', time: new Date(data.arrival.time).toISOString() }
+                });
+            }
+
+            if (data.track.length > 0) {
+                features.push({
+                    type: 'Feature',
+                    geometry: { type: 'LineString', coordinates: data.track.map(point => [point.lng, point.lat]) },
+                    properties: {
+                        ...properties,
+                        role: 'track',
+                        times: data.track.map(point => new Date(point.time).toISOString()),
+                        accuracies: data.track.map(point => point.accuracy),
+                        speeds: data.track.map(point => point.speed)
+                    }
+                });
+            }
+        });
+
+        return { type: 'FeatureCollection', features: features };
+    }
+
+    static toKml(trips) {
+        const esc = (text) => this.escapeXml(text);
+        const placemark = (name, description, geometry) => `
+      <Placemark>
+        <name>${esc(name)}</name>
+        <description>${esc(description)}</description>
+        ${geometry}
+      </Placemark>`;
+
+        const folders = trips.map(trip => {
+            const data = this.getTripData(trip);
+            const placemarks = data.stops.map((stop, index) => placemark(
+                stop.name,
+                index === data.stops.length - 1 ? 'Destination' : `Stop ${index + 1}`,
+                `<Point><coordinates>${stop.lng},${stop.lat}</coordinates></Point>`
+            ));
+
+            if (data.arrival) {
+                placemarks.push(placemark(
+                    trip.type === 'exit' ? 'Exit' : 'Arrival',
+                    `${data.description} · ${new Date(data.arrival.time).toISOString()}`,
+                    `<Point><coordinates>${data.arrival.lng},${data.arrival.lat}</coordinates></Point>`
+                ));
+            }
+
+            if (data.track.length > 0) {
+                placemarks.push(placemark(
+                    'Track',
+                    data.description,
+                    `<LineString><tessellate>1</tessellate><coordinates>${data.track.map(point => `${point.lng},${point.lat}`).join(' ')}</coordinates></LineString>`
+                ));
+            }
+
+            return `
+    <Folder>
+      <name>${esc(StorageService.getTripLabel(trip))}</name>
+      <TimeStamp><when>${esc(trip.timestamp)}</when></TimeStamp>
+      <ExtendedData>
+        <Data name="distance"><value>${trip.distance}</value></Data>
+        <Data name="duration"><value>${trip.duration || 0}</value></Data>
+        <Data name="trigger"><value>${esc(trip.type)}</value></Data>
+      </ExtendedData>${placemarks.join('')}
+    </Folder>`;
+        });
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>GPS Alarm trips</name>${folders.join('')}
+  </Document>
+</kml>
+`;
+    }
+
+    static escapeXml(text) {
+        return String(text == null ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+}
+
+// =============================================================================
+// TRIP IMPORT
+// =============================================================================
+
+// Reads routes planned in other tools. GPX waypoints (or route points) and
+// GeoJSON Points become stops, the last one being the destination. A track
+// (trkpt / LineString) is kept as the route line, and when the file has no
+// waypoints its last point becomes the destination.
+class TripImporter {
+    static async read(file) {
+        if (file.size > CONFIG.import.maxFileSize) {
+            throw new Error('File is too large (max 5 MB)');
+        }
+
+        const text = await file.text();
+        const name = file.name.replace(/\.[^.]+$/, '');
+        const trimmed = text.trim();
+
+        if (/\.gpx$/i.test(file.name) || trimmed.startsWith('<')) {
+            return this.finish(this.parseGpx(trimmed), name);
+        }
+        if (/\.(geo)?json$/i.test(file.name) || trimmed.startsWith('{')) {
+            return this.finish(this.parseGeoJson(trimmed), name);
+        }
+        throw new Error('Unsupported file. Please choose a GPX or GeoJSON file.');
+    }
+
+    static parseGpx(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('This GPX file is not valid XML');
+        }
+        if (doc.documentElement.localName !== 'gpx') {
+            throw new Error('This file is not a GPX file');
+        }
+
+        const byTag = (parent, tag) => Array.from(parent.getElementsByTagNameNS('*', tag));
+        const childText = (element, tag) => {
+            const child = Array.from(element.children).find(node => node.localName === tag);
+            return child ? child.textContent.trim() : '';
+        };
+        const toPoint = (element, label) => this.validatePoint(
+            element.getAttribute('lat'), element.getAttribute('lon'), childText(element, 'name'), label
+        );
+
+        const waypoints = byTag(doc, 'wpt').map((element, index) => toPoint(element, `Waypoint ${index + 1}`));
+        const routePoints = byTag(doc, 'rtept').map((element, index) => toPoint(element, `Route point ${index + 1}`));
+        const track = byTag(doc, 'trkpt').map((element, index) => toPoint(element, `Track point ${index + 1}`));
+
+        const named = ['metadata', 'trk', 'rte']
+            .map(tag => byTag(doc, tag)[0])
+            .find(element => element && childText(element, 'name'));
+
+        return {
+            name: named ? childText(named, 'name') : '',
+            stops: waypoints.length > 0 ? waypoints : routePoints,
+            track: track.length > 0 ? track : routePoints
+        };
+    }
+
+    static parseGeoJson(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('This GeoJSON file is not valid JSON');
+        }
+
+        const features = data && data.type === 'FeatureCollection' ? data.features :
+            data && data.type === 'Feature' ? [data] :
+            data && data.type ? [{ type: 'Feature', geometry: data, properties: {} }] : null;
+
+        if (!Array.isArray(features)) {
+            throw new Error('This file is not a GeoJSON FeatureCollection, Feature or geometry');
+        }
+
+        const stops = [];
+        const track = [];
+
+        features.forEach((feature, index) => {
+            const geometry = feature && feature.geometry;
+            const properties = (feature && feature.properties) || {};
+            if (!geometry) return;
+
+            const toPoint = (position, label) => {
+                if (!Array.isArray(position)) throw new Error(`${label} has no coordinates`);
+                return this.validatePoint(position[1], position[0], properties.name, label);
+            };
+
+            switch (geometry.type) {
+                case 'Point':
+                    stops.push(toPoint(geometry.coordinates, `Point ${stops.length + 1}`));
+                    break;
+                case 'MultiPoint':
+                    (geometry.coordinates || []).forEach(position => stops.push(toPoint(position, `Point ${stops.length + 1}`)));
+                    break;
+                case 'LineString':
+                    (geometry.coordinates || []).forEach(position => track.push(toPoint(position, `Line ${index + 1}`)));
+                    break;
+                case 'MultiLineString':
+                    (geometry.coordinates || []).flat().forEach(position => track.push(toPoint(position, `Line ${index + 1}`)));
+                    break;
+                default:
+                    console.log(`Skipping unsupported GeoJSON geometry: ${geometry.type}`);
+            }
+        });
+
+        return { name: features.length === 1 ? (features[0].properties || {}).name || '' : '', stops, track };
+    }
+
+    static validatePoint(lat, lng, name, label) {
+        const latitude = parseFloat(lat);
+        const longitude = parseFloat(lng);
+
+        if (isNaN(latitude) || isNaN(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+            throw new Error(`${label} has invalid coordinates`);
+        }
+        return { name: (name || '').trim() || label, lat: latitude, lng: longitude };
+    }
+
+    // The destination is the last waypoint, or the end of the track without any
+    static finish(route, fileName) {
+        const stops = route.stops.length > 0 ? route.stops :
+            route.track.length > 0 ? [route.track[route.track.length - 1]] : [];
+
+        if (stops.length === 0) {
+            throw new Error('No waypoints or track found in this file');
+        }
+        if (stops.length > CONFIG.import.maxStops) {
+            throw new Error(`Too many waypoints (${stops.length}). At most ${CONFIG.import.maxStops} stops are supported.`);
+        }
+
+        if (route.stops.length === 0) {
+            stops[0] = { ...stops[0], name: route.name || fileName };
+        }
+
+        return {
+            name: route.name || fileName,
+            stops: stops,
+            track: BreadcrumbTrail.compact(route.track).map(point => ({ lat: point.lat, lng: point.lng }))
+        };
+    }
+}
+
+// =============================================================================
+// MAP SERVICES
+// =============================================================================
+
+class MapService {
+    static initializeMap(elementId, center = null, zoom = null) {
+        const region = RegionSettings.getRegion();
+        center = center || region.center;
+        zoom = zoom || region.zoom;
+
+        const map = L.map(elementId, {
+            zoomControl: true,
+            attributionControl: false
+        });
+
+        L.tileLayer(CONFIG.api.tileLayers, {
+            attribution: 'Map © OpenStreetMap contributors',
+            maxZoom: 19
+        }).addTo(map);
+
+        map.setView(center, zoom);
+        return map;
+    }
+
+    static createIcon(color = 'blue') {
+        return L.icon({
+            iconUrl: `https://raw.githubusercontent.com/pointhi/leaflet-color-markers/master/img/marker-icon-${color}.png`,
+            shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/0.7.7/images/marker-shadow.png',
+            iconSize: [25, 41],
+            iconAnchor: [12, 41],
+            popupAnchor: [1, -34],
+            shadowSize: [41, 41]
+        });
+    }
+
+    static createMarker(lat, lng, color = 'blue', popupText = '') {
+        const marker = L.marker([lat, lng], {
+            icon: this.createIcon(color)
+        });
+
+        if (popupText) {
+            marker.bindPopup(popupText);
+        }
+
+        return marker;
+    }
+
+    static createPolyline(points, style) {
+        return L.polyline(points.map(point => [point.lat, point.lng]), style);
+    }
+
+    static createRoute(map, points) {
+        return L.Routing.control({
+            waypoints: points.map(([lat, lng]) => L.latLng(lat, lng)),
+            routeWhileDragging: false,
+            addWaypoints: false,
+            draggableWaypoints: false,
+            createMarker: () => null,
+            lineOptions: {
+                styles: [
+                    { color: '#007bff', weight: 6, opacity: 0.8 }
+                ]
+            },
+            show: false
+        }).addTo(map);
+    }
+}
+
+// =============================================================================
+// PLACE PICKER
+// =============================================================================
+
+// Lets the user pick the right match when a typed name fits several places
+class PlacePicker {
+    // { status: 'found', place } | { status: 'not-found' } | { status: 'cancelled' }
+    static async resolve(query) {
+        const places = LocationService.getDistinctPlaces(await LocationService.geocodeDestination(query));
+        if (places.length === 0) return { status: 'not-found' };
+
+        const place = places.length === 1 ? places[0] : await this.choose(query, places);
+        if (!place) return { status: 'cancelled' };
+
+        return { status: 'found', place: { ...place, name: query } };
+    }
+
+    // Shows the candidates on a map and in a list, resolves to the chosen place or null
+    static choose(query, places) {
+        return new Promise(resolve => {
+            const overlay = document.createElement('div');
+            overlay.id = 'place-picker';
+            overlay.style.cssText = `
+                position: fixed;
+                top: 0;
+                left: 0;
+                right: 0;
+                bottom: 0;
+                z-index: 15000;
+                background: rgba(0, 0, 0, 0.6);
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                padding: 15px;
+            `;
+
+            overlay.innerHTML = `
+                <div style="background: white; border-radius: 12px; width: 100%; max-width: 520px; max-height: 100%; display: flex; flex-direction: column; overflow: hidden;">
+                    <div style="padding: 15px 18px; font-weight: 600;">
+                        Which "${Utils.escapeHtml(query)}" did you mean?
+                    </div>
+                    <div id="picker-map" style="height: 240px;"></div>
+                    <ol style="margin: 0; padding: 0; list-style: none; overflow-y: auto;">
+                        ${places.map((place, index) => `
+                            <li data-index="${index}" style="padding: 12px 18px; border-top: 1px solid #eee; cursor: pointer;">
+                                <strong>${index + 1}.</strong> ${Utils.escapeHtml(place.displayName)}
+                                ${place.type ? `<span style="color: #888; font-size: 12px;"> · ${Utils.escapeHtml(place.type)}</span>` : ''}
+                            </li>
+                        `).join('')}
+                    </ol>
+                    <button data-action="cancel" style="margin: 12px 18px; padding: 12px; border: none; border-radius: 8px; background: #6c757d; color: white; cursor: pointer;">
+                        Cancel
+                    </button>
+                </div>
+            `;
+
+            document.body.appendChild(overlay);
+
+            const map = MapService.initializeMap('picker-map');
+            const markers = places.map((place, index) =>
+                MapService.createMarker(place.lat, place.lng, 'blue', `${index + 1}. ${Utils.escapeHtml(place.name)}`).addTo(map)
+            );
+            map.fitBounds(L.latLngBounds(places.map(place => [place.lat, place.lng])), { padding: [30, 30] });
+
+            const close = (place) => {
+                map.remove();
+                overlay.remove();
+                resolve(place);
+            };
+
+            markers.forEach((marker, index) => {
+                marker.on('click', () => close(places[index]));
+            });
+
+            overlay.querySelectorAll('[data-index]').forEach(item => {
+                const index = parseInt(item.dataset.index);
+                item.addEventListener('mouseenter', () => markers[index].openPopup());
+                item.addEventListener('click', () => close(places[index]));
+            });
+
+            overlay.querySelector('[data-action="cancel"]').addEventListener('click', () => close(null));
+        });
+    }
+}
+
+// =============================================================================
+// OFFLINE SUPPORT
+// =============================================================================
+
+class OfflineManager {
+    static async registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+
+        try {
+            await navigator.serviceWorker.register(CONFIG.offline.serviceWorker);
+            navigator.serviceWorker.addEventListener('message', (event) => this.handleMessage(event.data));
+        } catch (error) {
+            console.log('Service worker registration failed:', error);
+        }
+    }
+
+    static isAvailable() {
+        return 'serviceWorker' in navigator && !!navigator.serviceWorker.controller;
+    }
+
+    static handleMessage(data) {
+        if (data && data.type === 'tiles-cached' && data.count > 0) {
+            notificationSystem.show(
+                `🗺️ ${data.count} map tiles saved for offline use`,
+                'info',
+                CONFIG.notifications.durations.short
+            );
+        }
+    }
+
+    // Ask the service worker to download tiles around the trip so the map
+    // keeps working in dead zones
+    static async cacheTripArea(points) {
+        if (!this.isAvailable() || !navigator.onLine || points.length === 0) return;
+
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            if (!registration.active) return;
+
+            registration.active.postMessage({
+                type: 'cache-tiles',
+                urls: this.getTripTileUrls(points)
+            });
+        } catch (error) {
+            console.log('Unable to cache trip area:', error);
+        }
+    }
+
+    static getTripTileUrls(points) {
+        const urls = new Set();
+        const { tripZooms, stopZooms, tripPadding, stopRadius, maxTiles } = CONFIG.offline;
+        const areas = [
+            { bounds: this.getBounds(points, tripPadding), zooms: tripZooms },
+            ...points.slice(1).map(point => ({ bounds: this.getBounds([point], stopRadius), zooms: stopZooms }))
+        ];
+
+        for (const area of areas) {
+            for (let zoom = area.zooms[0]; zoom <= area.zooms[1]; zoom++) {
+                const tiles = this.getTilesInBounds(area.bounds, zoom);
+                // Stop before a single zoom level would blow the budget
+                if (urls.size + tiles.length > maxTiles) break;
+                tiles.forEach(url => urls.add(url));
+            }
+        }
+        return Array.from(urls);
+    }
+
+    static getBounds(points, paddingKm) {
+        const latPadding = paddingKm / 111;
+        const lats = points.map(point => point[0]);
+        const lngs = points.map(point => point[1]);
+        const lngPadding = paddingKm / (111 * Math.cos(Utils.deg2rad(lats[0])));
+
+        return {
+            north: Math.max(...lats) + latPadding,
+            south: Math.min(...lats) - latPadding,
+            east: Math.max(...lngs) + lngPadding,
+            west: Math.min(...lngs) - lngPadding
+        };
+    }
+
+    static getTilesInBounds(bounds, zoom) {
+        const minX = this.lngToTile(bounds.west, zoom);
+        const maxX = this.lngToTile(bounds.east, zoom);
+        const minY = this.latToTile(bounds.north, zoom);
+        const maxY = this.latToTile(bounds.south, zoom);
+        const urls = [];
+
+        for (let x = minX; x <= maxX; x++) {
+            for (let y = minY; y <= maxY; y++) {
+                urls.push(CONFIG.api.tileDownload
+                    .replace('{z}', zoom)
+                    .replace('{x}', x)
+                    .replace('{y}', y));
+            }
+        }
+        return urls;
+    }
+
+    static lngToTile(lng, zoom) {
+        return Math.floor((lng + 180) / 360 * Math.pow(2, zoom));
+    }
+
+    static latToTile(lat, zoom) {
+        const rad = Utils.deg2rad(lat);
+        return Math.floor((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2 * Math.pow(2, zoom));
+    }
+}
+
+// =============================================================================
+// POSITION FILTERING
+// =============================================================================
+
+// Drops rough fixes and smooths jitter with a simple Kalman filter. The
+// estimate's uncertainty grows with time and speed, so a moving bus is not
+// dragged behind, and shrinks with every fix, weighted by its accuracy.
+class PositionFilter {
+    // Returns a smoothed copy of the position, or null when the fix is too rough
+    static process(position) {
+        const accuracy = Math.max(position.coords.accuracy || 0, 1);
+        if (accuracy > CONFIG.positioning.maxAccuracy) return null;
+
+        const time = position.timestamp || Date.now();
+        const lat = position.coords.latitude;
+        const lng = position.coords.longitude;
+        const state = appState.positionFilter;
+
+        if (!state) {
+            appState.positionFilter = { lat, lng, variance: accuracy * accuracy, time };
+        } else {
+            const seconds = Math.max(0, (time - state.time) / 1000);
+            const reported = typeof position.coords.speed === 'number' ? position.coords.speed : null;
+            const estimated = EtaEstimator.getSpeed();
+            const speed = Math.max(
+                CONFIG.positioning.speedNoise,
+                reported !== null ? reported : (estimated !== null ? estimated / 3.6 : 0)
+            );
+            // The position can drift by up to seconds * speed, so its variance grows by that squared
+            const variance = state.variance + Math.pow(seconds * speed, 2);
+            const gain = variance / (variance + accuracy * accuracy);
+
+            appState.positionFilter = {
+                lat: state.lat + gain * (lat - state.lat),
+                lng: state.lng + gain * (lng - state.lng),
+                variance: (1 - gain) * variance,
+                time: time
+            };
+        }
+
+        const filtered = appState.positionFilter;
+        return {
+            timestamp: time,
+            coords: {
+                latitude: filtered.lat,
+                longitude: filtered.lng,
+                accuracy: Math.sqrt(filtered.variance),
+                speed: position.coords.speed,
+                heading: position.coords.heading
+            }
+        };
+    }
+}
+
+// =============================================================================
+// GPS SIMULATION
+// =============================================================================
+
+// Plays back a track through the same interface as navigator.geolocation, so
+// TrackingService runs unchanged at a desk. Tracks are lists of
+// { lat, lng, time, accuracy } with time in ms from the start of the track;
+// positions in between are interpolated, which keeps replays deterministic.
+class GpsSimulator {
+    constructor(track, speed = 1) {
+        this.track = track;
+        this.speed = GpsSimulator.normalizeSpeed(speed);
+        this.startTime = Date.now();
+        this.elapsed = 0;
+        this.watchers = new Map();
+        this.nextWatchId = 1;
+        this.timer = null;
+        this.finished = false;
+        this.onFinish = null;
+    }
+
+    static normalizeSpeed(speed) {
+        const value = parseFloat(speed);
+        return value > 0 ? Math.min(value, CONFIG.simulation.maxSpeed) : 1;
+    }
+
+    // Timestamps along straight segments at a constant speed
+    static fromPoints(points, kmh = CONFIG.simulation.speed) {
+        let time = 0;
+        return points.map((point, index) => {
+            if (index > 0) {
+                const previous = points[index - 1];
+                time += Utils.haversine(previous.lat, previous.lng, point.lat, point.lng) / kmh * 3600000;
+            }
+            return { lat: point.lat, lng: point.lng, time: time, accuracy: CONFIG.simulation.accuracy };
+        });
+    }
+
+    // A recorded breadcrumb trail keeps its own timing
+    static fromRecording(points) {
+        const start = points.length > 0 ? points[0].time : 0;
+        return points.map(point => ({
+            lat: point.lat,
+            lng: point.lng,
+            time: point.time - start,
+            accuracy: point.accuracy || CONFIG.simulation.accuracy
+        }));
+    }
+
+    // A straight drive from south of the first stop through every stop. Exit
+    // alarms start at the centre of the zone and drive north out of it.
+    static buildLine(stops, exitTrigger = false) {
+        const offset = CONFIG.simulation.startDistance / 111;   // degrees of latitude
+        const first = stops[0];
+
+        const points = exitTrigger
+            ? [{ lat: first.lat, lng: first.lng }, { lat: first.lat + offset, lng: first.lng }]
+            : [{ lat: first.lat - offset, lng: first.lng }, ...stops];
+        return this.fromPoints(points);
+    }
+
+    getDuration() {
+        return this.track.length > 0 ? this.track[this.track.length - 1].time : 0;
+    }
+
+    now() {
+        return this.startTime + this.elapsed;
+    }
+
+    getPosition() {
+        const track = this.track;
+        let index = 0;
+        while (index < track.length - 2 && track[index + 1].time <= this.elapsed) index++;
+
+        const from = track[index];
+        const to = track[Math.min(index + 1, track.length - 1)];
+        const span = to.time - from.time;
+        const fraction = span > 0 ? Math.min(Math.max((this.elapsed - from.time) / span, 0), 1) : 1;
+        const moving = span > 0 && this.elapsed < to.time;
+
+        return {
+            coords: {
+                latitude: from.lat + (to.lat - from.lat) * fraction,
+                longitude: from.lng + (to.lng - from.lng) * fraction,
+                accuracy: from.accuracy + (to.accuracy - from.accuracy) * fraction,
+                speed: moving ? Utils.haversine(from.lat, from.lng, to.lat, to.lng) * 1000 / (span / 1000) : 0,
+                heading: null
+            },
+            timestamp: this.now()
+        };
+    }
+
+    play() {
+        if (this.timer || this.track.length === 0) return;
+        this.timer = setInterval(() => this.tick(), CONFIG.simulation.tickInterval);
+    }
+
+    pause() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    isPlaying() {
+        return this.timer !== null;
+    }
+
+    setSpeed(speed) {
+        this.speed = GpsSimulator.normalizeSpeed(speed);
+    }
+
+    // Past the end the final point keeps being reported, so arrival can be confirmed
+    tick() {
+        this.elapsed += CONFIG.simulation.tickInterval * this.speed;
+
+        if (!this.finished && this.elapsed >= this.getDuration()) {
+            this.finished = true;
+            if (this.onFinish) this.onFinish();
+        }
+
+        const position = this.getPosition();
+        this.watchers.forEach(success => success(position));
+    }
+
+    // navigator.geolocation interface
+
+    watchPosition(success) {
+        const id = this.nextWatchId++;
+        this.watchers.set(id, success);
+        return id;
+    }
+
+    clearWatch(id) {
+        this.watchers.delete(id);
+    }
+
+    getCurrentPosition(success, error) {
+        setTimeout(() => {
+            if (this.track.length > 0) {
+                success(this.getPosition());
+            } else if (error) {
+                error({ code: 2, message: 'Simulated track is empty' });
+            }
+        }, 0);
+    }
+}
+
+// =============================================================================
+// ADAPTIVE TRACKING
+// =============================================================================
+
+// Chooses how often and how precisely to ask for fixes. Far from the
+// destination a rare, coarse fix is enough; close by the GPS runs continuously.
+// Low battery (when not charging) stretches the intervals.
+class TrackingScheduler {
+    static choose(distance, eta) {
+        const profiles = CONFIG.trackingProfiles;
+        return Object.keys(profiles).find(name =>
+            distance <= profiles[name].maxDistance || (eta !== null && eta <= profiles[name].maxEta)
+        ) || 'far';
+    }
+
+    static isLowBattery() {
+        const battery = appState.battery;
+        return !!battery && !battery.charging && battery.level <= CONFIG.battery.lowLevel;
+    }
+
+    static getOptions(name) {
+        const profile = CONFIG.trackingProfiles[name];
+        const lowBattery = this.isLowBattery();
+
+        // Close by, precision still wins over battery
+        const highAccuracy = profile.highAccuracy && (!lowBattery || name === 'near');
+        const interval = profile.interval * (lowBattery ? CONFIG.battery.intervalFactor : 1);
+
+        return {
+            watch: profile.watch,
+            interval: interval,
+            lowBattery: lowBattery,
+            geolocation: {
+                enableHighAccuracy: highAccuracy,
+                timeout: Math.max(CONFIG.geolocation.timeout, interval / 2),
+                maximumAge: profile.maximumAge
+            }
+        };
+    }
+
+    static update(distance, eta) {
+        const name = this.choose(distance, eta);
+        if (name !== appState.trackingProfile) {
+            this.apply(name);
+        }
+    }
+
+    // Re-apply the current profile, e.g. when the battery state changes
+    static refresh() {
+        if (appState.isTracking && appState.trackingProfile) {
+            this.apply(appState.trackingProfile);
+        }
+    }
+
+    // The device GPS, or the simulator in simulation mode
+    static getSource() {
+        return appState.simulator || navigator.geolocation;
+    }
+
+    static apply(name) {
+        this.stop();
+        appState.trackingProfile = name;
+
+        const options = this.getOptions(name);
+        const source = this.getSource();
+        const onPosition = TrackingService.handlePositionUpdate.bind(TrackingService);
+
+        // Simulated time runs faster, so do the fix schedule
+        const interval = options.interval / (appState.simulator ? appState.simulator.speed : 1);
+
+        if (options.watch) {
+            appState.watchId = source.watchPosition(
+                onPosition,
+                ErrorHandler.handleGeolocationError,
+                options.geolocation
+            );
+        } else {
+            source.getCurrentPosition(onPosition, ErrorHandler.handleGeolocationError, options.geolocation);
+        }
+
+        // Polling is the only source when not watching, and a backup when watching
+        appState.pollTimer = setInterval(() => {
+            source.getCurrentPosition(
+                onPosition,
+                (error) => console.log('Scheduled position request failed:', error),
+                options.geolocation
+            );
+        }, interval);
+    }
+
+    static stop() {
+        if (appState.watchId) {
+            this.getSource().clearWatch(appState.watchId);
+            appState.watchId = null;
+        }
+        if (appState.pollTimer) {
+            clearInterval(appState.pollTimer);
+            appState.pollTimer = null;
+        }
+    }
+
+    static describe() {
+        const name = appState.trackingProfile;
+        if (!name) return '';
+
+        const options = this.getOptions(name);
+        const frequency = options.watch ? 'continuous GPS' : `fix every ${Math.round(options.interval / 1000)} s`;
+        return `${CONFIG.trackingProfiles[name].label}: ${frequency}${options.lowBattery ? ' · battery saver' : ''}`;
+    }
+}
+
+// =============================================================================
+// TRACKING LOGIC
+// =============================================================================
+
+class TrackingService {
+    // Starts with a precise profile to get a first fix, the scheduler
+    // relaxes it once the remaining distance is known
+    static startPositionTracking() {
+        appState.isTracking = true;
+        TrackingScheduler.apply(appState.trackingProfile || 'approaching');
+    }
+
+    static handlePositionUpdate(rawPosition) {
+        // A fix requested before pausing or stopping can still arrive afterwards
+        if (!appState.isTracking) return;
+
+        const position = PositionFilter.process(rawPosition);
+        if (!position) {
+            // Too rough to alarm on, but good enough to know when to look closer
+            this.scheduleNextFixes(rawPosition.coords.latitude, rawPosition.coords.longitude, rawPosition.coords.accuracy);
+            this.showWeakSignal(rawPosition.coords.accuracy);
+            return;
+        }
+
+        const lat = position.coords.latitude;
+        const lng = position.coords.longitude;
+        // Zones are confirmed on how good this fix really was, not on the smoothed estimate
+        const accuracy = rawPosition.coords.accuracy;
+
+        EtaEstimator.addFix(position);
+        this.recordBreadcrumb(position);
+        RegionSettings.saveLastFix(lat, lng);
+        this.cacheOfflineArea(lat, lng);
+        this.scheduleNextFixes(lat, lng);
+
+        // Embedded alarms may run without a map
+        if (appState.map) {
+            this.updateUserMarker(lat, lng);
+            if (!this.isExitTrigger()) {
+                this.updateRoute(lat, lng);
+            }
+        }
+
+        this.emit('position', this.describePosition(position));
+        this.checkNotifications(lat, lng, accuracy);
+        if (appState.map) {
+            this.fitMapBounds(lat, lng);
+        }
+    }
+
+    // Tells the running GPSAlarm (if any) what happened
+    static emit(type, detail = {}) {
+        if (appState.alarm) {
+            appState.alarm.emit(type, detail);
+        }
+    }
+
+    // accuracy (metres) is given for rough fixes, which are assumed as close as they could be
+    static scheduleNextFixes(lat, lng, accuracy = 0) {
+        if (!appState.isTracking) return;
+
+        // What matters is how far the alarm zone boundary is, not the centre
+        const radius = (appState.tripSettings || AlarmSettings.getDefaults()).radius;
+        const boundary = this.isExitTrigger()
+            ? Math.abs(Utils.haversine(lat, lng, appState.destLat, appState.destLng) - radius)
+            : this.getRemainingDistance(lat, lng).distance - radius;
+        const distance = Math.max(0, boundary - accuracy / 1000);
+
+        TrackingScheduler.update(distance, EtaEstimator.estimate(distance));
+    }
+
+    static showWeakSignal(accuracy) {
+        this.emit('weaksignal', { accuracy: accuracy, firstFix: !appState.positionFilter });
+    }
+
+    // Counts consecutive accurate fixes that agree (e.g. inside the radius).
+    // Rough fixes are skipped without breaking the streak.
+    static confirmZone(key, matches, accuracy) {
+        if (accuracy > CONFIG.positioning.confirmAccuracy) return false;
+
+        appState.zoneFixes[key] = matches ? (appState.zoneFixes[key] || 0) + 1 : 0;
+        return appState.zoneFixes[key] >= CONFIG.positioning.confirmFixes;
+    }
+
+    // Extends the live trail on the map with every recorded fix
+    static recordBreadcrumb(position) {
+        const point = BreadcrumbTrail.add(position);
+        if (!point || !appState.map) return;
+
+        if (appState.trailLine) {
+            appState.trailLine.addLatLng([point.lat, point.lng]);
+        } else {
+            appState.trailLine = BreadcrumbTrail.draw(appState.map, appState.breadcrumbs);
+        }
+    }
+
+    static cacheOfflineArea(lat, lng) {
+        if (appState.offlineAreaCached) return;
+        appState.offlineAreaCached = true;
+
+        const points = appState.stops.length > 0 ?
+            appState.stops.map(stop => [stop.lat, stop.lng]) :
+            [[appState.destLat, appState.destLng]];
+        OfflineManager.cacheTripArea([[lat, lng], ...points]);
+    }
+
+    static updateUserMarker(lat, lng) {
+        if (!appState.userMarker) {
+            appState.userMarker = MapService.createMarker(lat, lng, 'blue', '📍 You are here');
+            appState.userMarker.addTo(appState.map);
+        } else {
+            appState.userMarker.setLatLng([lat, lng]);
+        }
+    }
+
+    // The details sent with every 'position' event
+    static describePosition(position) {
+        const lat = position.coords.latitude;
+        const lng = position.coords.longitude;
+        const remaining = this.getRemainingDistance(lat, lng);
+
+        return {
+            lat: lat,
+            lng: lng,
+            accuracy: position.coords.accuracy,
+            distance: remaining.distance,
+            distanceSource: remaining.source,
+            eta: this.isExitTrigger() ? null : EtaEstimator.estimate(remaining.distance),
+            speed: EtaEstimator.getSpeed(),
+            stop: appState.currentStop,
+            timestamp: position.timestamp
+        };
+    }
+
+    static getRemainingWaypoints() {
+        if (appState.stops.length === 0) {
+            return [[appState.destLat, appState.destLng]];
+        }
+        return appState.stops.slice(appState.currentStop).map(stop => [stop.lat, stop.lng]);
+    }
+
+    static updateRoute(lat, lng) {
+        const points = [[lat, lng], ...this.getRemainingWaypoints()];
+
+        if (!appState.routeControl) {
+            appState.routeControl = MapService.createRoute(appState.map, points);
+            appState.routeControl.on('routesfound', (e) => this.handleRouteFound(e.routes[0]));
+        } else {
+            appState.routeControl.setWaypoints(points.map(([pLat, pLng]) => L.latLng(pLat, pLng)));
+        }
+    }
+
+    static handleRouteFound(route) {
+        if (!route || !route.coordinates || route.coordinates.length === 0) return;
+
+        // Waypoint 0 is the user, waypoint 1 is the stop we are heading to
+        const indices = route.waypointIndices || [];
+        appState.route = {
+            stop: appState.currentStop,
+            points: route.coordinates.map(point => ({ lat: point.lat, lng: point.lng })),
+            endIndex: indices.length > 1 ? indices[1] : route.coordinates.length - 1
+        };
+    }
+
+    // Remaining distance to the current stop, along the route when one is known
+    static getRemainingDistance(lat, lng) {
+        const straight = Utils.haversine(lat, lng, appState.destLat, appState.destLng);
+        const settings = appState.tripSettings || AlarmSettings.getDefaults();
+        const route = appState.route;
+
+        if (settings.distanceMode !== 'route' || settings.trigger === 'exit' ||
+            !route || route.stop !== appState.currentStop) {
+            return { distance: straight, source: 'straight' };
+        }
+
+        const alongRoute = Utils.distanceAlongPath(
+            route.points, lat, lng, route.endIndex, CONFIG.routing.offRouteTolerance
+        );
+        if (alongRoute === null) {
+            return { distance: straight, source: 'straight' };
+        }
+        return { distance: Math.max(alongRoute, straight), source: 'route' };
+    }
+
+    static isExitTrigger() {
+        return !!appState.tripSettings && appState.tripSettings.trigger === 'exit';
+    }
+
+    static checkNotifications(lat, lng, accuracy) {
+        const distance = Utils.haversine(lat, lng, appState.destLat, appState.destLng);
+        const settings = appState.tripSettings || AlarmSettings.getDefaults();
+
+        if (settings.trigger === 'exit') {
+            this.checkExit(distance, settings, accuracy);
+            return;
+        }
+        
+        if (appState.notified["arrived"]) {
+            this.checkSnooze(distance);
+            return;
+        }
+        
+        // A single stray fix inside the radius is not an arrival
+        if (this.confirmZone('arrival', distance < settings.radius, accuracy)) {
+            if (appState.currentStop < appState.stops.length - 1) {
+                this.advanceToNextStop();
+            } else {
+                this.handleArrival(distance);
+            }
+            return;
+        }
+
+        const remaining = this.getRemainingDistance(lat, lng).distance;
+        this.fireThresholdAlert(settings.alerts, 'alert', alert => remaining < alert.distance);
+
+        const eta = EtaEstimator.estimate(remaining);
+        if (eta !== null) {
+            this.fireThresholdAlert(settings.timeAlerts, 'time', alert => eta < alert.minutes);
+        }
+    }
+
+    // Alerts are sorted closest first, so the first match is the tightest threshold crossed
+    static fireThresholdAlert(alerts, prefix, isCrossed) {
+        const index = alerts.findIndex(isCrossed);
+        if (index === -1 || appState.notified[`${prefix}-${index}`]) return;
+
+        const alert = alerts[index];
+        const severity = CONFIG.severities[alert.severity];
         notificationSystem.show(
-            `🎉 You've arrived at your destination! Trip took ${tripDuration} minutes.`,
-            'success',
+            Utils.escapeHtml(alert.message),
+            severity.type,
+            CONFIG.notifications.durations[severity.duration],
+            severity.important
+        );
+        notificationSystem.playNotificationSound(severity.level);
+        this.emit('alert', { kind: prefix === 'time' ? 'time' : 'distance', ...alert });
+
+        // Skip the wider alerts that were jumped over
+        for (let i = index; i < alerts.length; i++) {
+            appState.notified[`${prefix}-${i}`] = true;
+        }
+    }
+
+    static checkExit(distance, settings, accuracy) {
+        // Only arm the exit alarm once the user has been inside the zone
+        if (!appState.notified["inside"]) {
+            if (this.confirmZone('inside', distance <= settings.radius, accuracy)) {
+                appState.notified["inside"] = true;
+                notificationSystem.show('🛡️ You are inside the zone. Exit alarm armed.', 'info', CONFIG.notifications.durations.short);
+                this.emit('armed', { distance: distance });
+            } else if (distance > settings.radius && !appState.notified["waiting"]) {
+                appState.notified["waiting"] = true;
+                notificationSystem.show(
+                    `Exit alarm will arm when you are within ${AlarmSettings.formatDistance(settings.radius)} of the area`,
+                    'info',
+                    CONFIG.notifications.durations.medium
+                );
+            }
+            return;
+        }
+
+        if (this.confirmZone('exit', distance > settings.radius, accuracy) && !appState.notified["exited"]) {
+            this.handleExit(distance);
+        }
+    }
+
+    // The trip's name, as planned on the home page or given to GPSAlarm
+    static getDestinationName() {
+        const finalStop = appState.stops[appState.stops.length - 1];
+        return finalStop ? finalStop.name : sessionStorage.getItem("destination");
+    }
+
+    static handleExit(distance) {
+        const destination = this.getDestinationName();
+        const tripDuration = appState.trackingStartTime ? 
+            Math.round((this.now() - appState.trackingStartTime) / 60000) : 0;
+
+        notificationSystem.show(
+            `🚪 You've left the area around ${Utils.escapeHtml(destination)}!`,
+            'warning',
             CONFIG.notifications.durations.persistent,
             true
         );
+        notificationSystem.playNotificationSound();
+
+        StorageService.saveTripHistory(destination, distance, tripDuration, {
+            settings: appState.tripSettings,
+            stops: appState.stops.map(stop => ({ name: stop.name, lat: stop.lat, lng: stop.lng })),
+            path: appState.breadcrumbs
+        });
+
+        appState.notified["exited"] = true;
+        this.emit('exit', { distance: distance, duration: tripDuration });
+        this.stopTracking();
+    }
+
+    static advanceToNextStop() {
+        const reached = appState.stops[appState.currentStop];
+        reached.status = 'reached';
+        if (reached.marker) reached.marker.setIcon(MapService.createIcon('green'));
+
+        appState.currentStop++;
+        const next = appState.stops[appState.currentStop];
+        next.status = 'active';
+
+        appState.destLat = next.lat;
+        appState.destLng = next.lng;
+        appState.notified = {};
+        appState.zoneFixes = {};
+
+        if (appState.zoneCircle) {
+            appState.zoneCircle.setLatLng([next.lat, next.lng]);
+        }
+
+        notificationSystem.show(
+            `🚏 You've arrived at stop ${appState.currentStop}: ${Utils.escapeHtml(reached.name)}. Next: ${Utils.escapeHtml(next.name)}`,
+            'success',
+            CONFIG.notifications.durations.long,
+            true
+        );
+
+        this.emit('stopreached', {
+            index: appState.currentStop - 1,
+            stop: { name: reached.name, lat: reached.lat, lng: reached.lng },
+            next: { name: next.name, lat: next.lat, lng: next.lng }
+        });
+    }
+
+    static handleArrival(distance) {
+        const tripDuration = appState.trackingStartTime ? 
+            Math.round((this.now() - appState.trackingStartTime) / 60000) : 0;
+        
+        notificationSystem.show(
+            `🎉 You've arrived at your destination! Trip took ${tripDuration} minutes.`,
+            'success',
+            CONFIG.notifications.durations.persistent
+        );
         
         StorageService.saveTripHistory(
-            sessionStorage.getItem("destination"), 
+            this.getDestinationName(), 
             distance, 
-            tripDuration
+            tripDuration,
+            {
+                settings: appState.tripSettings,
+                stops: appState.stops.map(stop => ({ name: stop.name, lat: stop.lat, lng: stop.lng })),
+                path: appState.breadcrumbs
+            }
         );
+
+        const finalStop = appState.stops[appState.stops.length - 1];
+        if (finalStop) {
+            finalStop.status = 'reached';
+        }
         
         appState.notified["arrived"] = true;
-        this.stopTracking();
+        this.emit('arrive', { distance: distance, duration: tripDuration });
+        this.ringArrivalAlarm("🎉 You've arrived at your destination!", distance);
+    }
+
+    // Tracking keeps running while the alarm rings so a distance snooze can re-arm
+    static ringArrivalAlarm(message, distance) {
+        const settings = appState.tripSettings || AlarmSettings.getDefaults();
+        const snoozeRadius = Math.max(
+            Math.min(settings.radius, distance) * CONFIG.alarm.snoozeRadiusFactor,
+            CONFIG.alarm.minSnoozeRadius
+        );
+
+        const snoozeOptions = [{
+            label: `Snooze ${CONFIG.alarm.snoozeMinutes} min`,
+            action: () => this.snoozeArrival('timer')
+        }];
+
+        // Already that close, a distance snooze would ring again straight away
+        if (distance > snoozeRadius) {
+            snoozeOptions.push({
+                label: `Ring again within ${AlarmSettings.formatDistance(snoozeRadius)}`,
+                action: () => this.snoozeArrival('radius', snoozeRadius)
+            });
+        }
+
+        notificationSystem.startAlarm(message, {
+            onDismiss: () => this.stopTracking(),
+            snoozeOptions: snoozeOptions
+        });
+    }
+
+    static snoozeArrival(mode, radius = null) {
+        if (mode === 'radius') {
+            appState.snoozeRadius = radius;
+            notificationSystem.show(
+                `😴 Snoozed. The alarm rings again within ${AlarmSettings.formatDistance(radius)} of your destination.`,
+                'info',
+                CONFIG.notifications.durations.medium
+            );
+            return;
+        }
+
+        this.startSnoozeTimer(CONFIG.alarm.snoozeMinutes * 60000);
+
+        notificationSystem.show(
+            `😴 Snoozed for ${CONFIG.alarm.snoozeMinutes} minutes.`,
+            'info',
+            CONFIG.notifications.durations.medium
+        );
+    }
+
+    static startSnoozeTimer(delay) {
+        appState.snoozeEndsAt = Date.now() + delay;
+        appState.snoozeTimer = setTimeout(() => {
+            appState.snoozeTimer = null;
+            appState.snoozeEndsAt = null;
+            const distance = appState.lastFix ?
+                Utils.haversine(appState.lastFix.lat, appState.lastFix.lng, appState.destLat, appState.destLng) :
+                (appState.tripSettings || AlarmSettings.getDefaults()).radius;
+            this.ringArrivalAlarm('⏰ Snooze is over. Time to get off!', distance);
+        }, delay);
+    }
+
+    // A paused trip keeps the rest of its snooze for when it resumes
+    static suspendSnooze() {
+        if (!appState.snoozeTimer) return;
+        clearTimeout(appState.snoozeTimer);
+        appState.snoozeTimer = null;
+        appState.snoozeRemaining = Math.max(0, appState.snoozeEndsAt - Date.now());
+        appState.snoozeEndsAt = null;
+    }
+
+    static resumeSnooze() {
+        if (appState.snoozeRemaining === null) return;
+        this.startSnoozeTimer(appState.snoozeRemaining);
+        appState.snoozeRemaining = null;
+    }
+
+    static checkSnooze(distance) {
+        if (appState.snoozeRadius && distance < appState.snoozeRadius && !notificationSystem.isAlarmActive()) {
+            appState.snoozeRadius = null;
+            this.ringArrivalAlarm('⏰ You are almost there. Time to get off!', distance);
+        }
+    }
+
+    static fitMapBounds(lat, lng) {
+        if (!appState.map._fitted) {
+            const bounds = L.latLngBounds([
+                [lat, lng],
+                [appState.destLat, appState.destLng],
+                ...appState.stops.map(stop => [stop.lat, stop.lng])
+            ]);
+            appState.map.fitBounds(bounds, { padding: [50, 50] });
+            appState.map._fitted = true;
+        }
+    }
+
+    static stopTracking() {
+        appState.isTracking = false;
+        appState.snoozeRadius = null;
+        if (appState.snoozeTimer) {
+            clearTimeout(appState.snoozeTimer);
+            appState.snoozeTimer = null;
+        }
+        appState.snoozeEndsAt = null;
+        appState.snoozeRemaining = null;
+        TrackingScheduler.stop();
+        if (appState.simulator) appState.simulator.pause();
+        notificationSystem.releaseWakeLock();
+
+        if (appState.alarm && appState.alarm.state !== 'stopped') {
+            appState.alarm.state = 'stopped';
+            this.emit('stop');
+        }
+    }
+
+    // Simulated trips report simulated time, so durations match the replay
+    static now() {
+        return appState.simulator ? new Date(appState.simulator.now()) : new Date();
+    }
+}
+
+// =============================================================================
+// EMBEDDABLE API
+// =============================================================================
+
+class EventEmitter {
+    constructor() {
+        this.listeners = {};
+    }
+
+    on(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+        return this;
+    }
+
+    off(type, listener) {
+        this.listeners[type] = (this.listeners[type] || []).filter(item => item !== listener);
+        return this;
+    }
+
+    once(type, listener) {
+        const wrapper = (detail) => {
+            this.off(type, wrapper);
+            listener(detail);
+        };
+        return this.on(type, wrapper);
     }
 
-    static fitMapBounds(lat, lng) {
-        if (!appState.map._fitted) {
-            const bounds = L.latLngBounds([
-                [lat, lng],
-                [appState.destLat, appState.destLng]
-            ]);
-            appState.map.fitBounds(bounds, { padding: [50, 50] });
-            appState.map._fitted = true;
+    // A failing listener must not stop the alarm or the other listeners
+    emit(type, detail = {}) {
+        (this.listeners[type] || []).slice().forEach(listener => {
+            try {
+                listener(detail);
+            } catch (error) {
+                console.error(`Error in ${type} listener:`, error);
+            }
+        });
+    }
+}
+
+/**
+ * Programmatic access to the alarm, for pages other than the built-in ones.
+ *
+ *   const alarm = GPSAlarm.create({
+ *       destination: { name: 'Kandy', lat: 7.2906, lng: 80.6337 },
+ *       radius: 0.5,                                   // km
+ *       alerts: [{ distance: 2, message: '2 km to go' }]
+ *   });
+ *   alarm.on('arrive', ({ duration }) => console.log(`Arrived after ${duration} min`));
+ *   alarm.start();
+ *
+ * Options: destination (required), stops (visited before the destination),
+ * radius, alerts, timeAlerts, trigger ('arrival' | 'exit'), distanceMode,
+ * map (a Leaflet map to draw on) and simulator (a GpsSimulator to use instead
+ * of the device GPS). Settings not given fall back to the app defaults.
+ *
+ * Events: start, pause, resume, stop, position, weaksignal, alert, armed,
+ * stopreached, arrive, exit and error.
+ *
+ * The alarm also shows the app's notifications and rings its alarm screen.
+ * Only one alarm tracks at a time; starting another stops the running one.
+ */
+class GPSAlarm extends EventEmitter {
+    static create(options) {
+        return new GPSAlarm(options);
+    }
+
+    static getActive() {
+        return appState.alarm;
+    }
+
+    constructor(options = {}) {
+        super();
+        this.settings = AlarmSettings.normalize({ ...AlarmSettings.getDefaults(), ...options });
+
+        // Exit alarms watch a single area
+        const stops = [...(options.stops || []), options.destination].map(stop => GPSAlarm.normalizeStop(stop));
+        this.stops = this.settings.trigger === 'exit' ? stops.slice(-1) : stops;
+
+        this.map = options.map || null;
+        this.simulator = options.simulator || null;
+        this.hadWakeLock = false;
+        this.state = 'idle';
+    }
+
+    static normalizeStop(stop) {
+        if (!stop || !TripPlan.hasCoordinates(stop) ||
+            Math.abs(stop.lat) > 90 || Math.abs(stop.lng) > 180) {
+            throw new Error('GPSAlarm needs a destination and stops with valid lat and lng');
         }
+        return {
+            name: stop.name || LocationService.formatCoordinates(stop.lat, stop.lng),
+            lat: stop.lat,
+            lng: stop.lng
+        };
     }
 
-    static stopTracking() {
-        appState.isTracking = false;
-        if (appState.watchId) {
-            navigator.geolocation.clearWatch(appState.watchId);
-            appState.watchId = null;
+    start() {
+        if (this.state === 'running') return this;
+        if (this.state === 'paused') return this.resume();
+
+        if (appState.alarm && appState.alarm !== this) {
+            appState.alarm.stop();
         }
+        if (!window.notificationSystem) {
+            window.notificationSystem = new NotificationSystem();
+        }
+
+        this.loadTrip();
+        if (this.map) this.drawTrip();
+        if (this.simulator) this.simulator.play();
+
+        appState.trackingStartTime = TrackingService.now();
+        TrackingService.startPositionTracking();
+
+        this.state = 'running';
+        this.emit('start', { stops: this.stops.map(stop => ({ ...stop })) });
+        return this;
+    }
+
+    pause() {
+        if (this.state !== 'running') return this;
+
+        appState.isTracking = false;
+        TrackingScheduler.stop();
+        TrackingService.suspendSnooze();
+        if (this.simulator) this.simulator.pause();
+
+        // The screen may sleep while paused, the lock is taken again on resume
+        this.hadWakeLock = !!notificationSystem.wakeLock;
         notificationSystem.releaseWakeLock();
+
+        this.state = 'paused';
+        this.emit('pause');
+        return this;
+    }
+
+    resume() {
+        if (this.state !== 'paused') return this;
+
+        if (this.simulator) this.simulator.play();
+        TrackingService.startPositionTracking();
+        TrackingService.resumeSnooze();
+        if (this.hadWakeLock) notificationSystem.requestWakeLock();
+
+        this.state = 'running';
+        this.emit('resume');
+        return this;
+    }
+
+    stop() {
+        if (this.state !== 'running' && this.state !== 'paused') return this;
+
+        notificationSystem.stopAlarm();
+        TrackingService.stopTracking();
+        return this;
+    }
+
+    // The tracking engine works on appState, one trip at a time
+    loadTrip() {
+        appState.alarm = this;
+        appState.map = this.map;
+        appState.simulator = this.simulator;
+        appState.tripSettings = this.settings;
+        appState.stops = this.stops.map((stop, index) => ({
+            ...stop,
+            status: index === 0 ? 'active' : 'pending',
+            marker: null
+        }));
+        appState.currentStop = 0;
+        appState.destLat = this.stops[0].lat;
+        appState.destLng = this.stops[0].lng;
+
+        appState.notified = {};
+        appState.zoneFixes = {};
+        appState.breadcrumbs = [];
+        appState.positionFilter = null;
+        appState.route = null;
+        appState.trackingProfile = null;
+        EtaEstimator.reset();
+    }
+
+    // A marker for every stop (the final one is the destination) and the alarm zone
+    drawTrip() {
+        appState.stops.forEach((stop, index) => {
+            const isFinal = index === appState.stops.length - 1;
+            stop.marker = MapService.createMarker(
+                stop.lat, stop.lng,
+                isFinal ? 'red' : 'orange',
+                isFinal ? '🎯 Destination' : `🚏 Stop ${index + 1}: ${Utils.escapeHtml(stop.name)}`
+            );
+            stop.marker.addTo(this.map);
+        });
+        appState.destMarker = appState.stops[appState.stops.length - 1].marker;
+
+        appState.zoneCircle = L.circle([appState.destLat, appState.destLng], {
+            radius: this.settings.radius * 1000,
+            color: this.settings.trigger === 'exit' ? '#fd7e14' : '#dc3545',
+            fillOpacity: 0.08,
+            weight: 1
+        }).addTo(this.map);
     }
 }
 
@@ -836,11 +4142,556 @@ class TrackingService {
 
 class HomePageController {
     static async init() {
+        this.selectedPlace = null;
         this.setupDestinationInput();
+        this.setupStops();
+        this.setupRouteImport();
+        this.setupSavedPlaces();
+        this.setupAlarmSettings();
+        this.setupSoundSettings();
+        this.setupRegionSettings();
         this.setupStartButton();
+        this.applySearchParam();
         await this.showUserLocation();
     }
 
+    static setupStops() {
+        const input = document.getElementById("destinationInput");
+        const addButton = document.getElementById("addStopBtn");
+
+        this.stops = [];
+
+        if (!input || !addButton) return;
+
+        addButton.addEventListener("click", () => {
+            const value = input.value.trim();
+            if (!value) {
+                notificationSystem.show('Type a stop first, then add it', 'warning');
+                input.focus();
+                return;
+            }
+
+            this.stops.push(this.getStopFromInput(value));
+            this.selectedPlace = null;
+            input.value = "";
+            input.focus();
+            this.renderStops();
+            notificationSystem.show(
+                `Stop ${this.stops.length} added. Enter the next stop or your final destination.`,
+                'info',
+                CONFIG.notifications.durations.short
+            );
+        });
+
+        this.renderStops();
+    }
+
+    static renderStops() {
+        const list = document.getElementById("stopsList");
+        if (!list) return;
+
+        list.innerHTML = "";
+        this.stops.forEach((stop, index) => {
+            const item = document.createElement("li");
+            item.className = "stop-chip";
+            item.innerHTML = `
+                <span>${Utils.escapeHtml(stop.name)}</span>
+                <button type="button" title="Remove stop">×</button>
+            `;
+            item.querySelector("button").addEventListener("click", () => {
+                this.stops.splice(index, 1);
+                this.renderStops();
+            });
+            list.appendChild(item);
+        });
+        list.style.display = this.stops.length > 0 ? "" : "none";
+    }
+
+    static setupRouteImport() {
+        const upload = document.getElementById("routeImport");
+
+        this.importedRoute = null;
+        this.importLayer = null;
+        this.importRouteControl = null;
+
+        if (!upload) return;
+
+        upload.addEventListener("change", async () => {
+            const file = upload.files[0];
+            upload.value = "";
+            if (!file) return;
+
+            try {
+                this.applyImportedRoute(await TripImporter.read(file));
+            } catch (error) {
+                console.error('Error importing route:', error);
+                notificationSystem.show(`Could not import ${Utils.escapeHtml(file.name)}: ${Utils.escapeHtml(error.message)}`, 'error', CONFIG.notifications.durations.long);
+            }
+        });
+    }
+
+    // Waypoints become stops and the last one the destination, ready to start
+    static applyImportedRoute(route) {
+        const destination = route.stops[route.stops.length - 1];
+        const input = document.getElementById("destinationInput");
+
+        this.stops = route.stops.slice(0, -1);
+        this.selectedPlace = destination;
+        this.importedRoute = { destination: destination.name, points: route.track };
+        if (input) input.value = destination.name;
+
+        this.renderStops();
+        this.showImportedRoute(route);
+
+        notificationSystem.show(
+            `Imported "${Utils.escapeHtml(route.name)}": ${this.stops.length} stop${this.stops.length === 1 ? '' : 's'} to ${Utils.escapeHtml(destination.name)}`,
+            'success'
+        );
+    }
+
+    static showImportedRoute(route) {
+        if (!appState.map) return;
+
+        if (this.importLayer) this.importLayer.remove();
+        if (this.importRouteControl) {
+            appState.map.removeControl(this.importRouteControl);
+            this.importRouteControl = null;
+        }
+
+        this.importLayer = L.layerGroup().addTo(appState.map);
+        route.stops.forEach((stop, index) => {
+            const isFinal = index === route.stops.length - 1;
+            MapService.createMarker(
+                stop.lat, stop.lng,
+                isFinal ? 'red' : 'orange',
+                isFinal ? `🎯 ${Utils.escapeHtml(stop.name)}` : `🚏 Stop ${index + 1}: ${Utils.escapeHtml(stop.name)}`
+            ).addTo(this.importLayer);
+        });
+
+        // Draw the file's own track, or let the router connect the waypoints
+        if (route.track.length > 1) {
+            MapService.createPolyline(route.track, CONFIG.import.style).addTo(this.importLayer);
+        } else if (route.stops.length > 1) {
+            this.importRouteControl = MapService.createRoute(appState.map, route.stops.map(stop => [stop.lat, stop.lng]));
+        }
+
+        const points = [...route.stops, ...route.track].map(point => [point.lat, point.lng]);
+        appState.map.fitBounds(L.latLngBounds(points), { padding: [30, 30] });
+    }
+
+    // Reuse the coordinates of the suggestion or saved place the user picked
+    static getStopFromInput(value) {
+        if (this.selectedPlace && this.selectedPlace.name === value) {
+            return { ...this.selectedPlace };
+        }
+        return { name: value };
+    }
+
+    static setupSavedPlaces() {
+        const saveButton = document.getElementById("savePlaceBtn");
+        const input = document.getElementById("destinationInput");
+
+        this.renderSavedPlaces();
+
+        if (!saveButton || !input) return;
+
+        saveButton.addEventListener("click", () => this.saveCurrentPlace(input.value.trim()));
+    }
+
+    static renderSavedPlaces() {
+        const list = document.getElementById("savedPlacesList");
+        if (!list) return;
+
+        list.innerHTML = "";
+        SavedPlacesService.getAll().forEach(place => {
+            const chip = document.createElement("div");
+            chip.className = "place-chip";
+            chip.title = `${place.name} (alarm at ${AlarmSettings.formatDistance(place.radius)})`;
+            chip.innerHTML = `
+                <span>${Utils.escapeHtml(place.icon)} ${Utils.escapeHtml(place.label)}</span>
+                <button type="button" title="Remove saved place">×</button>
+            `;
+
+            chip.addEventListener("click", (e) => {
+                if (e.target.tagName === 'BUTTON') return;
+                this.startSavedPlace(place.id);
+            });
+
+            chip.querySelector("button").addEventListener("click", () => {
+                if (confirm(`Remove "${place.label}" from saved places?`)) {
+                    SavedPlacesService.remove(place.id);
+                    this.renderSavedPlaces();
+                }
+            });
+
+            list.appendChild(chip);
+        });
+    }
+
+    static async saveCurrentPlace(value) {
+        if (!value) {
+            notificationSystem.show('Pick a destination first, then save it', 'warning');
+            return;
+        }
+
+        let stop = this.getStopFromInput(value);
+
+        try {
+            if (!TripPlan.hasCoordinates(stop)) {
+                const result = await PlacePicker.resolve(value);
+                if (result.status === 'cancelled') return;
+                if (result.status === 'not-found') {
+                    notificationSystem.show('Unable to find this place. Please pick it from the suggestions.', 'error');
+                    return;
+                }
+                stop = result.place;
+            }
+        } catch (error) {
+            ErrorHandler.handleNetworkError(error, 'while saving place');
+            return;
+        }
+
+        const label = prompt('Name this place (e.g. Home, Work):', value.split(',')[0]);
+        if (!label || !label.trim()) return;
+
+        const place = SavedPlacesService.save({
+            label: label.trim(),
+            name: stop.name,
+            lat: stop.lat,
+            lng: stop.lng,
+            radius: this.getAlarmSettings().radius
+        });
+
+        if (place) {
+            this.renderSavedPlaces();
+            notificationSystem.show(`${Utils.escapeHtml(place.icon)} Saved "${Utils.escapeHtml(place.label)}"`, 'success');
+        }
+    }
+
+    // Plans the trip like the search form does, tracking starts on track.html
+    static startSavedPlace(id) {
+        const place = SavedPlacesService.find(id);
+        if (!place) return;
+
+        const settings = { ...this.getAlarmSettings(), radius: place.radius };
+        const stops = settings.trigger === 'exit' ? [] : [...this.stops];
+        stops.push({ name: place.label, lat: place.lat, lng: place.lng });
+
+        TripPlan.save(place.label, stops, settings);
+        StorageService.saveSearchHistory(place.label, AlarmSettings.normalize(settings),
+            { lat: place.lat, lng: place.lng, displayName: place.name });
+
+        notificationSystem.show(`Starting alarm for ${Utils.escapeHtml(place.icon)} ${Utils.escapeHtml(place.label)}...`, 'success');
+        setTimeout(() => {
+            window.location.href = "track.html";
+        }, 1000);
+    }
+
+    static setupAlarmSettings() {
+        const radiusSelect = document.getElementById("radiusSelect");
+        const addButton = document.getElementById("addAlertBtn");
+
+        if (!radiusSelect) return;
+
+        radiusSelect.innerHTML = CONFIG.distances.radiusOptions
+            .map(radius => `<option value="${radius}">${AlarmSettings.formatDistance(radius)}</option>`)
+            .join('');
+
+        const distanceModeSelect = document.getElementById("distanceModeSelect");
+        if (distanceModeSelect) {
+            distanceModeSelect.innerHTML = Object.entries(CONFIG.distanceModes)
+                .map(([mode, label]) => `<option value="${mode}">${label}</option>`)
+                .join('');
+        }
+
+        const triggerSelect = document.getElementById("triggerSelect");
+        if (triggerSelect) {
+            triggerSelect.innerHTML = Object.entries(CONFIG.triggers)
+                .map(([trigger, label]) => `<option value="${trigger}">${label}</option>`)
+                .join('');
+            triggerSelect.addEventListener("change", () => this.updateTriggerFields());
+        }
+
+        this.applyAlarmSettings(AlarmSettings.getDefaults());
+
+        if (addButton) {
+            addButton.addEventListener("click", () => {
+                this.addAlertRow({ distance: '', message: '', severity: 'medium' });
+            });
+        }
+    }
+
+    static applyAlarmSettings(settings) {
+        const radiusSelect = document.getElementById("radiusSelect");
+        const alertsList = document.getElementById("alertsList");
+
+        if (!radiusSelect || !alertsList) return;
+
+        // Keep radii that are not in the preset list (e.g. from an old trip)
+        if (!CONFIG.distances.radiusOptions.includes(settings.radius)) {
+            const option = document.createElement("option");
+            option.value = settings.radius;
+            option.textContent = AlarmSettings.formatDistance(settings.radius);
+            radiusSelect.appendChild(option);
+        }
+        radiusSelect.value = String(settings.radius);
+
+        const distanceModeSelect = document.getElementById("distanceModeSelect");
+        if (distanceModeSelect) {
+            distanceModeSelect.value = settings.distanceMode;
+        }
+
+        const triggerSelect = document.getElementById("triggerSelect");
+        if (triggerSelect) {
+            triggerSelect.value = settings.trigger;
+            this.updateTriggerFields();
+        }
+
+        // Show alerts in the order they fire during the trip (farthest first)
+        alertsList.innerHTML = "";
+        [...settings.alerts].reverse().forEach(alert => this.addAlertRow(alert));
+        [...settings.timeAlerts].reverse().forEach(alert => this.addAlertRow(alert));
+    }
+
+    static setupRegionSettings() {
+        const regionSelect = document.getElementById("regionSelect");
+        const biasToggle = document.getElementById("biasNearbyToggle");
+
+        if (!regionSelect || !biasToggle) return;
+
+        const settings = RegionSettings.load();
+
+        regionSelect.innerHTML = Object.entries(CONFIG.regions)
+            .map(([id, region]) => `<option value="${id}">${region.label}</option>`)
+            .join('');
+        regionSelect.value = settings.region;
+        biasToggle.checked = settings.biasNearby;
+
+        const save = () => RegionSettings.save({ region: regionSelect.value, biasNearby: biasToggle.checked });
+
+        regionSelect.addEventListener("change", () => {
+            save();
+            const region = RegionSettings.getRegion();
+            if (appState.map) appState.map.setView(region.center, region.zoom);
+        });
+
+        biasToggle.addEventListener("change", () => {
+            save();
+            if (biasToggle.checked && !RegionSettings.getLastFix()) {
+                notificationSystem.show('Your position is not known yet. Nearby places will be preferred once it is found.', 'info');
+            }
+        });
+    }
+
+    static async setupSoundSettings() {
+        const container = document.getElementById("soundSettings");
+        const upload = document.getElementById("soundUpload");
+
+        if (!container) return;
+
+        let customSounds = [];
+        try {
+            customSounds = await SoundLibrary.getCustomSounds();
+        } catch (error) {
+            console.log('Custom sounds unavailable:', error);
+        }
+
+        this.renderSoundSettings(customSounds);
+
+        if (upload && !upload.dataset.bound) {
+            upload.dataset.bound = "true";
+            upload.addEventListener("change", async () => {
+                const file = upload.files[0];
+                upload.value = "";
+                if (!file) return;
+
+                try {
+                    const sound = await SoundLibrary.addCustomSound(file);
+                    notificationSystem.show(`Added sound "${Utils.escapeHtml(sound.label)}"`, 'success');
+                    await this.setupSoundSettings();
+                } catch (error) {
+                    notificationSystem.show(Utils.escapeHtml(error.message), 'error');
+                }
+            });
+        }
+    }
+
+    static renderSoundSettings(customSounds) {
+        const container = document.getElementById("soundSettings");
+        const customList = document.getElementById("customSoundsList");
+        const settings = SoundLibrary.getSettings();
+
+        const options = [
+            ...Object.entries(CONFIG.sounds.builtIn).map(([id, sound]) => ({ id, label: sound.label })),
+            ...customSounds.map(sound => ({ id: `custom:${sound.id}`, label: `🎵 ${sound.label}` }))
+        ];
+
+        container.innerHTML = "";
+        Object.entries(CONFIG.sounds.levels).forEach(([level, defaults]) => {
+            const row = document.createElement("div");
+            row.className = "sound-row";
+            row.innerHTML = `
+                <span class="sound-level">${defaults.label}</span>
+                <select class="sound-select alarm-select" title="Sound"></select>
+                <input type="range" class="sound-volume" min="0" max="1" step="0.1" title="Volume">
+                <button type="button" class="sound-preview" title="Preview">▶</button>
+            `;
+
+            const select = row.querySelector(".sound-select");
+            options.forEach(option => {
+                const element = document.createElement("option");
+                element.value = option.id;
+                element.textContent = option.label;
+                select.appendChild(element);
+            });
+            select.value = settings[level].sound;
+
+            const volume = row.querySelector(".sound-volume");
+            volume.value = settings[level].volume;
+
+            const save = () => {
+                const current = SoundLibrary.getSettings();
+                current[level] = { sound: select.value, volume: parseFloat(volume.value) };
+                SoundLibrary.saveSettings(current);
+            };
+            select.addEventListener("change", save);
+            volume.addEventListener("change", save);
+
+            row.querySelector(".sound-preview").addEventListener("click", () => this.previewSound(level));
+
+            container.appendChild(row);
+        });
+
+        if (customList) {
+            customList.innerHTML = "";
+            customSounds.forEach(sound => {
+                const chip = document.createElement("span");
+                chip.className = "stop-chip";
+                chip.innerHTML = `🎵 ${Utils.escapeHtml(sound.label)} <button type="button" title="Delete sound">×</button>`;
+                chip.querySelector("button").addEventListener("click", async () => {
+                    if (!confirm(`Delete the sound "${sound.label}"?`)) return;
+                    try {
+                        await SoundLibrary.removeCustomSound(sound.id);
+                    } catch (error) {
+                        console.error('Error deleting custom sound:', error);
+                        notificationSystem.show('Unable to delete this sound', 'error');
+                        return;
+                    }
+                    await this.setupSoundSettings();
+                });
+                customList.appendChild(chip);
+            });
+        }
+    }
+
+    static async previewSound(level) {
+        if (this.previewHandle) {
+            this.previewHandle.stop();
+        }
+
+        try {
+            const handle = await SoundLibrary.play(level);
+            this.previewHandle = handle;
+            setTimeout(() => handle.stop(), CONFIG.sounds.previewDuration);
+        } catch (error) {
+            console.log('Sound preview failed:', error);
+            notificationSystem.show('Unable to play this sound', 'error');
+        }
+    }
+
+    static updateTriggerFields() {
+        const triggerSelect = document.getElementById("triggerSelect");
+        if (!triggerSelect) return;
+
+        // Pre-alerts and stops only make sense while approaching a destination
+        ["alertsSection", "stopsSection", "distanceModeRow"].forEach(id => {
+            const section = document.getElementById(id);
+            if (section) section.style.display = triggerSelect.value === 'exit' ? 'none' : '';
+        });
+    }
+
+    static addAlertRow(alert) {
+        const alertsList = document.getElementById("alertsList");
+        if (!alertsList) return;
+
+        const row = document.createElement("div");
+        row.className = "alert-row";
+        row.innerHTML = `
+            <input type="number" class="alert-value" min="0.05" step="0.05" title="Distance or minutes before arrival">
+            <select class="alert-unit" title="Unit">
+                ${Object.entries(CONFIG.alertUnits).map(([unit, label]) => `<option value="${unit}">${label}</option>`).join('')}
+            </select>
+            <input type="text" class="alert-message" placeholder="Alert message">
+            <select class="alert-severity" title="Severity">
+                ${Object.keys(CONFIG.severities).map(level => `<option value="${level}">${level}</option>`).join('')}
+            </select>
+            <button type="button" class="alert-remove" title="Remove alert">×</button>
+        `;
+
+        const isTimeAlert = alert.minutes !== undefined;
+        row.querySelector(".alert-value").value = isTimeAlert ? alert.minutes : alert.distance;
+        row.querySelector(".alert-unit").value = isTimeAlert ? 'min' : 'km';
+        row.querySelector(".alert-message").value = alert.message;
+        row.querySelector(".alert-severity").value = alert.severity;
+        row.querySelector(".alert-remove").addEventListener("click", () => row.remove());
+
+        alertsList.appendChild(row);
+    }
+
+    static getAlarmSettings() {
+        const radiusSelect = document.getElementById("radiusSelect");
+        if (!radiusSelect) return AlarmSettings.getDefaults();
+
+        const alerts = [];
+        const timeAlerts = [];
+
+        document.querySelectorAll("#alertsList .alert-row").forEach(row => {
+            const value = parseFloat(row.querySelector(".alert-value").value);
+            if (!(value > 0)) return;
+
+            const alert = {
+                message: row.querySelector(".alert-message").value,
+                severity: row.querySelector(".alert-severity").value
+            };
+
+            if (row.querySelector(".alert-unit").value === 'min') {
+                timeAlerts.push({ ...alert, minutes: value });
+            } else {
+                alerts.push({ ...alert, distance: value });
+            }
+        });
+
+        const triggerSelect = document.getElementById("triggerSelect");
+        const distanceModeSelect = document.getElementById("distanceModeSelect");
+
+        return AlarmSettings.normalize({
+            trigger: triggerSelect ? triggerSelect.value : 'arrival',
+            distanceMode: distanceModeSelect ? distanceModeSelect.value : 'route',
+            radius: radiusSelect.value,
+            alerts: alerts,
+            timeAlerts: timeAlerts
+        });
+    }
+
+    static applySearchParam() {
+        const input = document.getElementById("destinationInput");
+        const query = new URLSearchParams(window.location.search).get("search");
+
+        if (!input || !query) return;
+
+        input.value = query;
+
+        const entry = StorageService.findSearchEntry(query);
+        if (entry && entry.settings) {
+            this.applyAlarmSettings(AlarmSettings.normalize(entry.settings));
+        }
+
+        // Reuse the stored coordinates so starting again needs no lookup
+        if (entry && entry.place && TripPlan.hasCoordinates(entry.place)) {
+            this.selectedPlace = { name: query, ...entry.place };
+        }
+    }
+
     static setupDestinationInput() {
         const input = document.getElementById("destinationInput");
         const suggestionsBox = document.getElementById("suggestions");
@@ -848,24 +4699,44 @@ class HomePageController {
         if (!input || !suggestionsBox) return;
 
         const debouncedSearch = Utils.debounce(async (query) => {
+            // Saved places are matched locally, so they show at once, for short queries and offline too
+            const savedPlaces = SavedPlacesService.search(query);
             if (query.length < 3) {
-                suggestionsBox.style.display = "none";
+                if (savedPlaces.length > 0) {
+                    this.displaySuggestions(savedPlaces, [], suggestionsBox, input);
+                } else {
+                    suggestionsBox.style.display = "none";
+                }
                 return;
             }
 
-            suggestionsBox.innerHTML = '<div style="padding: 10px; text-align: center; color: #666;">Searching...</div>';
-            suggestionsBox.style.display = "block";
+            this.displaySuggestions(savedPlaces, [], suggestionsBox, input, { text: 'Searching...' });
 
+            let results;
             try {
-                const results = await LocationService.searchDestinations(query);
-                this.displaySuggestions(results, suggestionsBox, input);
+                results = await LocationService.searchDestinations(query);
             } catch (error) {
                 console.error("Search error:", error);
-                suggestionsBox.innerHTML = '<div style="padding: 10px; text-align: center; color: #dc3545;">Search failed. Please try again.</div>';
+                results = null;
+            }
+
+            // A newer query has taken over the box in the meantime
+            if (input.value.trim() !== query) return;
+
+            if (results) {
+                this.displaySuggestions(savedPlaces, results, suggestionsBox, input);
+            } else {
+                this.displaySuggestions(savedPlaces, [], suggestionsBox, input, {
+                    text: savedPlaces.length > 0 ? 'Other places could not be searched right now.' : 'Search failed. Please try again.',
+                    color: '#dc3545'
+                });
             }
         }, 300);
 
-        input.addEventListener("input", (e) => debouncedSearch(e.target.value.trim()));
+        input.addEventListener("input", (e) => {
+            this.selectedPlace = null;
+            debouncedSearch(e.target.value.trim());
+        });
 
         document.addEventListener("click", (e) => {
             if (!input.contains(e.target) && !suggestionsBox.contains(e.target)) {
@@ -874,45 +4745,74 @@ class HomePageController {
         });
     }
 
-    static displaySuggestions(results, suggestionsBox, input) {
+    // status is an optional { text, color } line shown below the places, e.g. while searching
+    static displaySuggestions(savedPlaces, results, suggestionsBox, input, status = null) {
         suggestionsBox.innerHTML = "";
-        
-        if (results.length > 0) {
+
+        if (savedPlaces.length > 0 || results.length > 0 || status) {
+            savedPlaces.forEach((place) => {
+                const div = this.createSuggestionItem(
+                    `${Utils.escapeHtml(place.icon)} <strong>${Utils.escapeHtml(place.label)}</strong>`,
+                    () => {
+                        input.value = place.label;
+                        this.selectedPlace = { name: place.label, lat: place.lat, lng: place.lng };
+                        this.applyAlarmSettings({ ...this.getAlarmSettings(), radius: place.radius });
+                        suggestionsBox.style.display = "none";
+                        notificationSystem.show('Saved place selected', 'info', CONFIG.notifications.durations.short);
+                    }
+                );
+                div.style.backgroundColor = "#f3f5ff";
+                suggestionsBox.appendChild(div);
+            });
+
             results.forEach((place) => {
-                const div = document.createElement("div");
-                div.style.cssText = `
-                    padding: 12px 15px;
-                    cursor: pointer;
-                    border-bottom: 1px solid #eee;
-                    transition: background-color 0.2s ease;
-                    font-size: 14px;
-                    line-height: 1.4;
-                `;
-                
-                div.innerHTML = place.display_name;
-                
-                div.addEventListener("mouseenter", () => {
-                    div.style.backgroundColor = "#f8f9fa";
-                });
-                
-                div.addEventListener("mouseleave", () => {
-                    div.style.backgroundColor = "white";
-                });
-                
-                div.addEventListener("click", () => {
-                    input.value = place.display_name;
+                const div = this.createSuggestionItem(Utils.escapeHtml(place.displayName), () => {
+                    input.value = place.displayName;
+                    this.selectedPlace = { ...place, name: place.displayName };
                     suggestionsBox.style.display = "none";
                     notificationSystem.show('Destination selected', 'info', CONFIG.notifications.durations.short);
                 });
                 
                 suggestionsBox.appendChild(div);
             });
+
+            if (status) {
+                const line = document.createElement("div");
+                line.style.cssText = `padding: 10px; text-align: center; color: ${status.color || '#666'};`;
+                line.textContent = status.text;
+                suggestionsBox.appendChild(line);
+            }
             suggestionsBox.style.display = "block";
         } else {
             suggestionsBox.innerHTML = '<div style="padding: 10px; text-align: center; color: #666;">No locations found</div>';
         }
     }
 
+    static createSuggestionItem(html, onSelect) {
+        const div = document.createElement("div");
+        div.style.cssText = `
+            padding: 12px 15px;
+            cursor: pointer;
+            border-bottom: 1px solid #eee;
+            transition: background-color 0.2s ease;
+            font-size: 14px;
+            line-height: 1.4;
+        `;
+        
+        div.innerHTML = html;
+        
+        div.addEventListener("mouseenter", () => {
+            div.style.backgroundColor = "#f8f9fa";
+        });
+        
+        div.addEventListener("mouseleave", () => {
+            div.style.backgroundColor = "white";
+        });
+        
+        div.addEventListener("click", onSelect);
+        return div;
+    }
+
     static setupStartButton() {
         const input = document.getElementById("destinationInput");
         const button = document.getElementById("startBtn");
@@ -931,15 +4831,47 @@ class HomePageController {
             button.textContent = 'Setting Destination...';
             
             try {
-                StorageService.saveSearchHistory(value);
-                sessionStorage.setItem("destination", value);
+                const settings = this.getAlarmSettings();
+                const destinationStop = this.getStopFromInput(value);
+                const plannedStops = settings.trigger === 'exit' ? [destinationStop] : [...this.stops, destinationStop];
                 
-                const isValid = await LocationService.validateDestination(value);
-                if (isValid) {
+                // Stops picked from a list already have coordinates, the rest are
+                // looked up once here (or served from the cache) so track.html needs no network.
+                // Ambiguous names are settled by the user in the place picker.
+                let invalidStop = null;
+                let cancelled = false;
+                const stops = [];
+                for (const stop of plannedStops) {
+                    if (TripPlan.hasCoordinates(stop)) {
+                        stops.push(stop);
+                        continue;
+                    }
+
+                    const result = await PlacePicker.resolve(stop.name);
+                    if (result.status === 'cancelled') {
+                        cancelled = true;
+                        break;
+                    }
+                    if (result.status === 'not-found') {
+                        invalidStop = stop.name;
+                        break;
+                    }
+                    stops.push(result.place);
+                }
+
+                if (cancelled) {
+                    notificationSystem.show('Tracking not started, no place was chosen', 'info');
+                } else if (!invalidStop) {
+                    const route = this.importedRoute && this.importedRoute.destination === value ?
+                        this.importedRoute.points : null;
+                    TripPlan.save(value, stops, settings, route);
+                    StorageService.saveSearchHistory(value, settings, stops[stops.length - 1]);
                     notificationSystem.show('Destination set successfully! Redirecting...', 'success');
                     setTimeout(() => {
                         window.location.href = "track.html";
                     }, 1000);
+                } else if (invalidStop !== value) {
+                    notificationSystem.show(`Unable to find stop: ${Utils.escapeHtml(invalidStop)}. Please remove or change it.`, 'error');
                 } else {
                     notificationSystem.show('Unable to find this destination. Please try a different location.', 'error');
                 }
@@ -965,6 +4897,7 @@ class HomePageController {
 
         try {
             appState.map = MapService.initializeMap('home-map');
+            this.setupMapPin();
             
             const loadingId = notificationSystem.showLoading('Finding your location...');
 
@@ -978,6 +4911,7 @@ class HomePageController {
             const lng = position.coords.longitude;
             const accuracy = position.coords.accuracy;
 
+            RegionSettings.saveLastFix(lat, lng, true);
             appState.map.setView([lat, lng], 15);
             
             const marker = MapService.createMarker(
@@ -1000,13 +4934,82 @@ class HomePageController {
         } catch (error) {
             notificationSystem.hideLoading();
             ErrorHandler.handleGeolocationError(error);
-            notificationSystem.show('Using default location (Sri Lanka)', 'info', CONFIG.notifications.durations.medium);
+            notificationSystem.show(`Using default location (${RegionSettings.getRegion().label})`, 'info', CONFIG.notifications.durations.medium);
+        }
+    }
+
+    // Tap or long-press the map to drop a destination pin, drag it to adjust
+    static setupMapPin() {
+        this.pin = null;
+        this.pinLookup = 0;
+        appState.map.on('click contextmenu', (e) => this.dropPin(e.latlng));
+    }
+
+    static dropPin(latlng) {
+        if (this.pin) {
+            this.pin.setLatLng(latlng);
+        } else {
+            this.pin = MapService.createMarker(latlng.lat, latlng.lng, 'red').addTo(appState.map);
+            this.pin.dragging.enable();
+            this.pin.on('dragend', () => this.labelPin(this.pin.getLatLng()));
         }
+        this.labelPin(latlng);
+    }
+
+    static async labelPin(latlng) {
+        const lookup = ++this.pinLookup;
+        const coordinates = LocationService.formatCoordinates(latlng.lat, latlng.lng);
+
+        this.pin.bindPopup(`📍 ${coordinates}<br><small>Finding address...</small>`).openPopup();
+
+        const place = await LocationService.reverseGeocode(latlng.lat, latlng.lng);
+        // The pin was moved again while this lookup was running
+        if (lookup !== this.pinLookup) return;
+
+        const name = place ? place.displayName : coordinates;
+        const input = document.getElementById("destinationInput");
+        if (input) input.value = name;
+
+        // The pin itself is the destination, the address only labels it
+        this.selectedPlace = { ...place, name: name, lat: latlng.lat, lng: latlng.lng };
+
+        const popup = document.createElement("div");
+        popup.className = "pin-popup";
+        popup.innerHTML = `
+            <strong>${Utils.escapeHtml(name)}</strong>
+            ${place ? `<small>${coordinates}</small>` : ''}
+            <div class="pin-popup-actions">
+                <button type="button" class="alarm-add-btn" data-action="track">▶ Track here</button>
+                <button type="button" class="alarm-add-btn" data-action="save">☆ Save place</button>
+            </div>
+        `;
+
+        popup.querySelector('[data-action="track"]').addEventListener("click", () => {
+            const startButton = document.getElementById("startBtn");
+            if (startButton) startButton.click();
+        });
+        popup.querySelector('[data-action="save"]').addEventListener("click", () => this.saveCurrentPlace(name));
+
+        this.pin.bindPopup(popup).openPopup();
     }
 }
 
 class TrackPageController {
     static async init() {
+        // track.html?trip=<id> shows a recorded trip instead of tracking
+        const tripId = new URLSearchParams(window.location.search).get('trip');
+        if (tripId) {
+            this.showRecordedTrip(tripId);
+            return;
+        }
+
+        // Replaying a recorded trip also replays its plan
+        const replayTrip = this.getSimulatedTrip();
+        if (replayTrip) {
+            TripPlan.save(replayTrip.destination, TripPlan.normalizeStops(replayTrip.stops || [replayTrip.destination]),
+                AlarmSettings.fromTrip(replayTrip));
+        }
+
         const destination = sessionStorage.getItem("destination");
         if (!destination) {
             notificationSystem.show('No destination set. Redirecting to home...', 'warning');
@@ -1014,6 +5017,8 @@ class TrackPageController {
             return;
         }
 
+        appState.tripSettings = AlarmSettings.load();
+
         const loadingId = notificationSystem.showLoading('Finding your destination...');
         
         try {
@@ -1025,21 +5030,88 @@ class TrackPageController {
         }
     }
 
+    static showRecordedTrip(tripId) {
+        const trip = StorageService.findTrip(tripId);
+        const statusEl = document.getElementById("status");
+
+        if (!trip) {
+            if (statusEl) statusEl.innerText = "Trip not found";
+            notificationSystem.show('This trip is no longer in your history', 'error');
+            return;
+        }
+
+        appState.map = MapService.initializeMap('map');
+        const bounds = [];
+
+        (trip.stops || []).filter(stop => TripPlan.hasCoordinates(stop)).forEach((stop, index, stops) => {
+            const isFinal = index === stops.length - 1;
+            MapService.createMarker(
+                stop.lat, stop.lng,
+                isFinal ? 'red' : 'orange',
+                isFinal ? `🎯 ${Utils.escapeHtml(stop.name)}` : `🚏 Stop ${index + 1}: ${Utils.escapeHtml(stop.name)}`
+            ).addTo(appState.map);
+            bounds.push([stop.lat, stop.lng]);
+        });
+
+        const points = BreadcrumbTrail.unpack(trip.path);
+        if (points.length > 0) {
+            appState.trailLine = BreadcrumbTrail.draw(appState.map, points);
+            points.forEach(point => bounds.push([point.lat, point.lng]));
+        }
+
+        if (bounds.length > 0) {
+            appState.map.fitBounds(L.latLngBounds(bounds), { padding: [30, 30] });
+        }
+
+        if (statusEl) {
+            const duration = trip.duration ? `${Utils.escapeHtml(trip.duration)} min` : 'Unknown';
+            statusEl.innerHTML = `
+                Recorded trip to ${Utils.escapeHtml(StorageService.getTripLabel(trip))}<br>
+                ${Utils.escapeHtml(trip.date || '')} ${Utils.escapeHtml(trip.time || '')}<br>
+                Distance: ${Utils.escapeHtml(trip.distance)} km · Duration: ${duration}<br>
+                ${points.length > 0 ? '' : '<small>No route was recorded for this trip</small>'}
+            `;
+        }
+    }
+
+    static loadStops(destination) {
+        const stops = TripPlan.loadStops(destination);
+        return TrackingService.isExitTrigger() ? stops.slice(-1) : stops;
+    }
+
+    static async geocodeStops(plannedStops) {
+        const stops = [];
+        for (const planned of plannedStops) {
+            let lat = planned.lat;
+            let lng = planned.lng;
+
+            if (!TripPlan.hasCoordinates(planned)) {
+                const result = await PlacePicker.resolve(planned.name);
+                if (result.status !== 'found') return null;
+                lat = result.place.lat;
+                lng = result.place.lng;
+            }
+
+            stops.push({ name: planned.name, lat: lat, lng: lng });
+        }
+        return stops;
+    }
+
     static async trackDestination(destination) {
         try {
-            const data = await LocationService.geocodeDestination(destination);
+            const stops = await this.geocodeStops(this.loadStops(destination));
             
-            if (data && data[0]) {
-                appState.destLat = parseFloat(data[0].lat);
-                appState.destLng = parseFloat(data[0].lon);
-                
-                await this.initMapWithTracking();
+            if (stops) {
+                this.initMapWithTracking(destination, stops);
                 
                 const statusEl = document.getElementById("status");
-                if (statusEl) statusEl.innerText = `Tracking to: ${destination}`;
+                if (statusEl) {
+                    statusEl.innerText = TrackingService.isExitTrigger() ?
+                        `Watching area around: ${destination}` :
+                        `Tracking to: ${destination}`;
+                }
                 
                 notificationSystem.show('Tracking started successfully!', 'success', CONFIG.notifications.durations.short, true);
-                appState.trackingStartTime = new Date();
             } else {
                 throw new Error('Destination not found');
             }
@@ -1056,38 +5128,197 @@ class TrackPageController {
         }
     }
 
-    static async initMapWithTracking() {
-        appState.map = MapService.initializeMap('map');
+    // The page is a GPSAlarm with a map, a status panel and the stops list
+    static initMapWithTracking(destination, stops) {
+        const map = MapService.initializeMap('map');
 
-        // Add destination marker
-        appState.destMarker = MapService.createMarker(
-            appState.destLat, appState.destLng, 'red', '🎯 Destination'
-        );
-        appState.destMarker.addTo(appState.map).openPopup();
+        const plannedRoute = TripPlan.loadRoute(destination);
+        if (plannedRoute.length > 1) {
+            MapService.createPolyline(plannedRoute, CONFIG.import.style).addTo(map);
+        }
 
-        // Start position tracking
-        TrackingService.startPositionTracking();
+        const simulation = this.createSimulation(plannedRoute, stops);
+
+        this.alarm = GPSAlarm.create({
+            ...appState.tripSettings,
+            destination: stops[stops.length - 1],
+            stops: stops.slice(0, -1),
+            map: map,
+            simulator: simulation ? simulation.simulator : null
+        });
+
+        this.alarm
+            .on('position', detail => this.renderStatus(detail))
+            .on('weaksignal', detail => this.renderWeakSignal(detail))
+            .on('stopreached', () => this.renderStopsProgress())
+            .on('arrive', () => this.renderStopsProgress());
+
+        if (simulation) {
+            this.renderSimulationControls(simulation.label);
+        }
+
+        this.alarm.start();
+        appState.destMarker.openPopup();
+        this.renderStopsProgress();
+    }
+
+    static renderStatus(detail) {
+        const statusEl = document.getElementById("status");
+        if (!statusEl) return;
+
+        const speed = detail.speed !== null ? `${Math.round(detail.speed)} km/h` : 'Unknown';
+        const source = detail.distanceSource === 'route' ? 'by road' : 'straight line';
+        const eta = TrackingService.isExitTrigger() ? '' : `ETA: ${EtaEstimator.format(detail.eta)}<br>`;
+        statusEl.innerHTML = `
+            Distance: ${detail.distance.toFixed(2)} km (${source})<br>
+            ${eta}
+            Speed: ${speed}<br>
+            Accuracy: ±${Math.round(detail.accuracy)}m<br>
+            <small>${TrackingScheduler.describe()}</small>
+        `;
+    }
+
+    // Until a usable fix arrives there is nothing else to show
+    static renderWeakSignal(detail) {
+        const statusEl = document.getElementById("status");
+        if (statusEl && detail.firstFix) {
+            statusEl.innerText = `Waiting for an accurate GPS fix (currently ±${Math.round(detail.accuracy)}m)...`;
+        }
+    }
+
+    static renderStopsProgress() {
+        const list = document.getElementById("stopsProgress");
+        if (!list || appState.stops.length < 2) return;
+
+        const icons = { reached: '✅', active: '➡️', pending: '⏳' };
+
+        list.innerHTML = appState.stops.map((stop, index) => `
+            <li class="stop-progress ${stop.status}">
+                ${icons[stop.status]} ${index + 1}. ${Utils.escapeHtml(stop.name)}
+            </li>
+        `).join('');
+        list.style.display = 'block';
+    }
+
+    // track.html?simulate=trip:<id> replays a trip from the history
+    static getSimulatedTrip() {
+        const source = new URLSearchParams(window.location.search).get('simulate') || '';
+        return source.startsWith('trip:') ? StorageService.findTrip(source.slice(5)) : null;
+    }
+
+    // track.html?simulate=line|route|trip:<id>&speed=<n> feeds tracking from a
+    // synthetic or recorded track instead of the device GPS
+    static createSimulation(plannedRoute, stops) {
+        const params = new URLSearchParams(window.location.search);
+        const source = params.get('simulate');
+        if (!source) return null;
+
+        let track = [];
+        let label = 'straight line';
+        const trip = this.getSimulatedTrip();
+
+        if (trip) {
+            track = GpsSimulator.fromRecording(BreadcrumbTrail.unpack(trip.path));
+            label = `recorded trip to ${StorageService.getTripLabel(trip)}`;
+        } else if (source === 'route' && plannedRoute.length > 1) {
+            track = GpsSimulator.fromPoints(plannedRoute);
+            label = 'planned route';
+        }
+
+        if (track.length < 2) {
+            if (source !== 'line') {
+                notificationSystem.show('Nothing to replay for this simulation, driving a straight line instead', 'warning');
+            }
+            track = GpsSimulator.buildLine(stops, TrackingService.isExitTrigger());
+            label = 'straight line';
+        }
+
+        const simulator = new GpsSimulator(track, params.get('speed'));
+        simulator.onFinish = () => {
+            notificationSystem.show('Simulated track finished', 'info', CONFIG.notifications.durations.short);
+        };
+        return { simulator: simulator, label: label };
+    }
+
+    static renderSimulationControls(label) {
+        const statusEl = document.getElementById("status");
+        if (!statusEl) return;
+
+        const simulator = this.alarm.simulator;
+        const speeds = [...new Set([...CONFIG.simulation.speeds, simulator.speed])].sort((a, b) => a - b);
+
+        const bar = document.createElement('div');
+        bar.className = 'simulation-bar';
+        bar.innerHTML = `
+            <span class="simulation-label">🧪 Simulation: ${Utils.escapeHtml(label)}</span>
+            <select class="simulation-speed" aria-label="Playback speed"></select>
+            <button type="button" class="alarm-add-btn simulation-toggle">Pause</button>
+        `;
+
+        const select = bar.querySelector('.simulation-speed');
+        speeds.forEach(speed => select.add(new Option(`${speed}×`, speed, false, speed === simulator.speed)));
+        select.addEventListener('change', () => {
+            simulator.setSpeed(select.value);
+            TrackingScheduler.refresh();
+        });
+
+        const toggle = bar.querySelector('.simulation-toggle');
+        toggle.addEventListener('click', () => {
+            if (simulator.isPlaying()) {
+                simulator.pause();
+            } else {
+                simulator.play();
+            }
+            toggle.textContent = simulator.isPlaying() ? 'Pause' : 'Resume';
+        });
+
+        statusEl.parentNode.insertBefore(bar, statusEl);
     }
 }
 
 class HistoryPageController {
     static init() {
+        this.filters = { query: '', from: '', to: '', destination: '', sort: 'newest' };
+        this.period = 'week';
+        this.setupFilters();
         this.loadTripHistory();
     }
 
+    static setupFilters() {
+        const controls = {
+            query: document.getElementById("tripSearch"),
+            from: document.getElementById("tripFrom"),
+            to: document.getElementById("tripTo"),
+            destination: document.getElementById("tripDestination"),
+            sort: document.getElementById("tripSort")
+        };
+
+        Object.entries(controls).forEach(([name, control]) => {
+            if (!control) return;
+            const update = () => {
+                this.filters[name] = control.value;
+                this.loadTripHistory();
+            };
+            control.addEventListener(name === 'query' ? "input" : "change",
+                name === 'query' ? Utils.debounce(update, 200) : update);
+        });
+    }
+
     static loadTripHistory() {
         try {
-            const trips = JSON.parse(localStorage.getItem("tripHistory")) || [];
+            const trips = StorageService.getTrips();
             const list = document.getElementById("history-list");
 
             if (!list) return;
 
+            this.updateDestinationOptions(trips);
+
             if (trips.length === 0) {
                 this.displayEmptyState(list);
                 return;
             }
 
-            this.displayTrips(trips, list);
+            this.displayTrips(this.applyFilters(trips), list);
 
         } catch (error) {
             console.error('Error loading trip history:', error);
@@ -1095,6 +5326,43 @@ class HistoryPageController {
         }
     }
 
+    static updateDestinationOptions(trips) {
+        const select = document.getElementById("tripDestination");
+        if (!select) return;
+
+        const labels = Array.from(new Set(trips.map(trip => StorageService.getTripLabel(trip)))).sort();
+        if (this.filters.destination && !labels.includes(this.filters.destination)) {
+            this.filters.destination = '';
+        }
+
+        select.innerHTML = "";
+        select.add(new Option('All destinations', ''));
+        labels.forEach(label => select.add(new Option(label, label)));
+        select.value = this.filters.destination;
+    }
+
+    static applyFilters(trips) {
+        const query = this.filters.query.trim().toLowerCase();
+        const matches = (trip) => !query || [
+            trip.destination,
+            trip.label,
+            trip.note,
+            ...(trip.tags || [])
+        ].some(text => text && text.toLowerCase().includes(query));
+
+        const sorters = {
+            newest: (a, b) => new Date(b.timestamp) - new Date(a.timestamp),
+            oldest: (a, b) => new Date(a.timestamp) - new Date(b.timestamp),
+            distance: (a, b) => (TripStats.getDistance(b) || 0) - (TripStats.getDistance(a) || 0),
+            duration: (a, b) => (b.duration || 0) - (a.duration || 0),
+            name: (a, b) => StorageService.getTripLabel(a).localeCompare(StorageService.getTripLabel(b))
+        };
+
+        return TripStats.filter(trips, this.filters)
+            .filter(matches)
+            .sort(sorters[this.filters.sort] || sorters.newest);
+    }
+
     static displayEmptyState(list) {
         list.innerHTML = `
             <div style="text-align: center; padding: 40px; color: #6c757d;">
@@ -1120,7 +5388,29 @@ class HistoryPageController {
     }
 
     static displayTrips(trips, list) {
-        // Group trips by date
+        list.innerHTML = "";
+
+        // Create statistics summary
+        this.createStatsSection(trips, list);
+        this.createExportSection(trips, list);
+
+        // Add slide-in animation CSS
+        this.addAnimationStyles();
+
+        if (trips.length === 0) {
+            const empty = document.createElement("p");
+            empty.className = "stats-empty";
+            empty.textContent = "No trips match your search";
+            list.appendChild(empty);
+            return;
+        }
+
+        // Group trips by date while they are listed by date, otherwise keep one list
+        if (this.filters.sort !== 'newest' && this.filters.sort !== 'oldest') {
+            trips.forEach((trip, index) => this.createTripItem(trip, list, 0, index));
+            return;
+        }
+
         const groupedTrips = trips.reduce((groups, trip) => {
             const date = trip.date || new Date(trip.timestamp).toLocaleDateString();
             if (!groups[date]) {
@@ -1130,14 +5420,6 @@ class HistoryPageController {
             return groups;
         }, {});
 
-        list.innerHTML = "";
-
-        // Create statistics summary
-        this.createStatsSection(trips, list);
-
-        // Add slide-in animation CSS
-        this.addAnimationStyles();
-
         // Render grouped trips
         Object.keys(groupedTrips).forEach((date, dateIndex) => {
             this.createDateSection(date, groupedTrips[date], list, dateIndex);
@@ -1145,39 +5427,117 @@ class HistoryPageController {
     }
 
     static createStatsSection(trips, list) {
-        const totalTrips = trips.length;
-        const totalDistance = trips.reduce((sum, trip) => sum + trip.distance, 0);
-        const totalDuration = trips.reduce((sum, trip) => sum + (trip.duration || 0), 0);
-        
-        const statsDiv = document.createElement("div");
-        statsDiv.style.cssText = `
-            background: linear-gradient(135deg, #007bff, #0056b3);
-            color: white;
-            padding: 20px;
-            border-radius: 15px;
-            margin-bottom: 30px;
-            display: grid;
-            grid-template-columns: repeat(auto-fit, minmax(100px, 1fr));
-            gap: 20px;
-            text-align: center;
+        const dashboard = document.createElement("div");
+        dashboard.className = "stats-dashboard";
+
+        dashboard.innerHTML = `
+            <div class="stats-filters">
+                <select data-filter="period">
+                    <option value="week">Trips per week</option>
+                    <option value="month">Trips per month</option>
+                </select>
+            </div>
+            <div class="stats-content"></div>
         `;
-        
-        statsDiv.innerHTML = `
-            <div>
-                <div style="font-size: 24px; font-weight: bold;">${totalTrips}</div>
-                <div style="font-size: 12px; opacity: 0.9;">Total Trips</div>
+
+        const periodSelect = dashboard.querySelector('[data-filter="period"]');
+        periodSelect.value = this.period;
+        periodSelect.addEventListener("change", () => {
+            this.period = periodSelect.value;
+            this.renderStats(dashboard.querySelector(".stats-content"), trips, this.period);
+        });
+
+        this.renderStats(dashboard.querySelector(".stats-content"), trips, this.period);
+        list.appendChild(dashboard);
+    }
+
+    static renderStats(container, trips, period) {
+        if (trips.length === 0) {
+            container.innerHTML = `<p class="stats-empty">No trips match these filters</p>`;
+            return;
+        }
+
+        const summary = TripStats.summarize(trips);
+        const chart = (title, svg) => `
+            <div class="stats-chart">
+                <h5>${title}</h5>
+                ${svg}
             </div>
-            <div>
-                <div style="font-size: 24px; font-weight: bold;">${totalDistance.toFixed(1)} km</div>
-                <div style="font-size: 12px; opacity: 0.9;">Distance Traveled</div>
+        `;
+
+        container.innerHTML = `
+            <div class="stats-cards">
+                <div class="stats-card"><strong>${summary.trips}</strong><span>Trips</span></div>
+                <div class="stats-card"><strong>${summary.distance.toFixed(1)} km</strong><span>Distance Traveled${summary.measured < summary.trips ? ` (${summary.measured} of ${summary.trips} trips with a route)` : ''}</span></div>
+                <div class="stats-card"><strong>${Math.round(summary.duration)} min</strong><span>Travel Time</span></div>
+                <div class="stats-card"><strong>${summary.averageSpeed !== null ? `${Math.round(summary.averageSpeed)} km/h` : '–'}</strong><span>Average Speed</span></div>
             </div>
-            <div>
-                <div style="font-size: 24px; font-weight: bold;">${Math.round(totalDuration)} min</div>
-                <div style="font-size: 12px; opacity: 0.9;">Travel Time</div>
+            <div class="stats-charts">
+                ${chart(period === 'month' ? 'Trips per month' : 'Trips per week', SvgChart.columns(TripStats.tripsPerPeriod(trips, period)))}
+                ${chart('Trips by time of day', SvgChart.columns(TripStats.tripsByHour(trips)))}
+                ${chart('Most frequent destinations', SvgChart.rows(TripStats.topDestinations(trips)))}
+                ${chart('Average duration per destination', SvgChart.rows(TripStats.averageDurationByDestination(trips), ' min'))}
             </div>
         `;
-        
-        list.appendChild(statsDiv);
+    }
+
+    static createExportSection(trips, list) {
+        if (trips.length === 0) return;
+
+        const section = document.createElement("div");
+        section.style.cssText = `
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: 10px;
+            margin-bottom: 20px;
+            font-size: 14px;
+            color: #495057;
+        `;
+
+        const format = this.exportFormat || 'gpx';
+
+        section.innerHTML = `
+            <span style="font-weight: 600;">Export</span>
+            <select id="exportFormat" style="padding: 6px 10px; border: 1px solid #dee2e6; border-radius: 6px; font-size: 14px;">
+                ${Object.entries(CONFIG.exportFormats).map(([id, type]) => `<option value="${id}" ${id === format ? 'selected' : ''}>${type.label}</option>`).join('')}
+            </select>
+            <button type="button" id="exportTripsBtn" style="
+                background: #28a745;
+                color: white;
+                border: none;
+                padding: 8px 12px;
+                border-radius: 6px;
+                font-size: 12px;
+                cursor: pointer;
+            ">Download ${trips.length} trip${trips.length === 1 ? '' : 's'}</button>
+            <small style="color: #6c757d;">Use the date filters above to export a date range</small>
+        `;
+
+        section.querySelector("#exportFormat").addEventListener("change", (e) => {
+            this.exportFormat = e.target.value;
+        });
+
+        section.querySelector("#exportTripsBtn").addEventListener("click", () => {
+            const { from, to } = this.filters;
+            const range = from || to ? `${from || 'start'}_to_${to || 'today'}` : 'all';
+            this.exportTrips(trips, `gps-alarm-trips-${range}`);
+        });
+
+        list.appendChild(section);
+    }
+
+    static exportTrips(trips, filename) {
+        const select = document.getElementById("exportFormat");
+        const format = select ? select.value : 'gpx';
+
+        try {
+            TripExporter.export(trips, format, filename);
+            notificationSystem.show(`Exported ${trips.length} trip${trips.length === 1 ? '' : 's'} as ${CONFIG.exportFormats[format].label}`, 'success');
+        } catch (error) {
+            console.error('Error exporting trips:', error);
+            notificationSystem.show('Failed to export trips', 'error');
+        }
     }
 
     static createDateSection(date, trips, list, dateIndex) {
@@ -1218,37 +5578,111 @@ class HistoryPageController {
             animation-delay: ${(dateIndex * 0.1) + (index * 0.05)}s;
         `;
 
-        const duration = trip.duration ? `${trip.duration} min` : 'Unknown';
+        const duration = trip.duration ? `${Utils.escapeHtml(trip.duration)} min` : 'Unknown';
+        const icon = trip.type === 'exit' ? '🚪' : '📍';
         const time = trip.time || new Date(trip.timestamp).toLocaleTimeString();
+        const label = StorageService.getTripLabel(trip);
+        const tags = trip.tags || [];
+
+        const smallButton = (color) => `
+            background: none;
+            color: ${color};
+            border: 1px solid ${color};
+            padding: 7px 10px;
+            border-radius: 6px;
+            font-size: 12px;
+            cursor: pointer;
+        `;
 
         item.innerHTML = `
-            <div style="display: flex; justify-content: space-between; align-items: flex-start; margin-bottom: 8px;">
-                <div style="flex: 1;">
+            <div style="display: flex; justify-content: space-between; align-items: flex-start; gap: 10px; flex-wrap: wrap; margin-bottom: 8px;">
+                <div style="flex: 1; min-width: 200px;">
                     <div style="font-weight: 600; color: #2c3e50; font-size: 16px; margin-bottom: 5px;">
-                        📍 ${Utils.escapeHtml(trip.destination)}
+                        ${icon} ${Utils.escapeHtml(label)}
                     </div>
+                    ${trip.label ? `<div style="font-size: 12px; color: #6c757d; margin-bottom: 5px;">${Utils.escapeHtml(trip.destination)}</div>` : ''}
                     <div style="display: flex; gap: 15px; font-size: 14px; color: #6c757d;">
-                        <span>🛣️ ${trip.distance} km</span>
+                        <span>🛣️ ${Utils.escapeHtml(trip.distance)} km</span>
                         <span>⏱️ ${duration}</span>
-                        <span>🕐 ${time}</span>
+                        <span>🕐 ${Utils.escapeHtml(time)}</span>
                     </div>
+                    ${trip.note ? `<div class="trip-note">${Utils.escapeHtml(trip.note)}</div>` : ''}
+                    ${tags.length > 0 ? `<div class="trip-tags">${tags.map(tag => `<span class="trip-tag">#${Utils.escapeHtml(tag)}</span>`).join('')}</div>` : ''}
+                </div>
+                <div style="display: flex; gap: 6px; flex-wrap: wrap; align-items: center;">
+                    ${trip.path && trip.path.length > 1 ? `
+                    <a href="track.html?trip=${encodeURIComponent(trip.id)}" style="
+                        color: #007bff;
+                        padding: 8px 6px;
+                        font-size: 12px;
+                        text-decoration: none;
+                    ">View Route</a>` : ''}
+                    <button type="button" data-action="edit" style="${smallButton('#6c757d')}">Edit</button>
+                    <button type="button" data-action="delete" style="${smallButton('#dc3545')}">Delete</button>
+                    <button type="button" data-action="export" style="${smallButton('#28a745')}">Export</button>
+                    <button type="button" data-action="repeat" style="
+                        background: #007bff;
+                        color: white;
+                        border: none;
+                        padding: 8px 12px;
+                        border-radius: 6px;
+                        font-size: 12px;
+                        cursor: pointer;
+                        transition: background-color 0.2s ease;
+                    " onmouseover="this.style.backgroundColor='#0056b3'" 
+                       onmouseout="this.style.backgroundColor='#007bff'">
+                        Repeat Trip
+                    </button>
                 </div>
-                <button onclick="repeatTrip('${Utils.escapeHtml(trip.destination)}')" style="
-                    background: #007bff;
-                    color: white;
-                    border: none;
-                    padding: 8px 12px;
-                    border-radius: 6px;
-                    font-size: 12px;
-                    cursor: pointer;
-                    transition: background-color 0.2s ease;
-                " onmouseover="this.style.backgroundColor='#0056b3'" 
-                   onmouseout="this.style.backgroundColor='#007bff'">
-                    Repeat Trip
-                </button>
             </div>
+            <form class="trip-edit-form" hidden>
+                <label>Name <input type="text" name="label" maxlength="100"></label>
+                <label>Note <textarea name="note" rows="2" maxlength="500"></textarea></label>
+                <label>Tags <input type="text" name="tags" placeholder="e.g. work, weekly"></label>
+                <div class="trip-edit-actions">
+                    <button type="submit" class="backup-btn">Save</button>
+                    <button type="button" class="alarm-add-btn" data-action="cancel">Cancel</button>
+                </div>
+            </form>
         `;
 
+        item.querySelector('[data-action="repeat"]').addEventListener('click', () => repeatTrip(trip.id));
+
+        item.querySelector('[data-action="export"]').addEventListener('click', () => {
+            const slug = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+            this.exportTrips([trip], `trip-${slug || 'export'}-${trip.timestamp.slice(0, 10)}`);
+        });
+
+        item.querySelector('[data-action="delete"]').addEventListener('click', () => {
+            if (confirm(`Delete the trip to "${label}"? This cannot be undone.`)) {
+                StorageService.deleteTrip(trip.id);
+                notificationSystem.show('Trip deleted', 'info', CONFIG.notifications.durations.short);
+                this.loadTripHistory();
+            }
+        });
+
+        const form = item.querySelector('.trip-edit-form');
+        item.querySelector('[data-action="edit"]').addEventListener('click', () => {
+            form.elements.label.value = label;
+            form.elements.note.value = trip.note || '';
+            form.elements.tags.value = tags.join(', ');
+            form.hidden = !form.hidden;
+            if (!form.hidden) form.elements.label.focus();
+        });
+        form.querySelector('[data-action="cancel"]').addEventListener('click', () => {
+            form.hidden = true;
+        });
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            StorageService.updateTrip(trip.id, {
+                label: form.elements.label.value,
+                note: form.elements.note.value,
+                tags: form.elements.tags.value
+            });
+            notificationSystem.show('Trip updated', 'success', CONFIG.notifications.durations.short);
+            this.loadTripHistory();
+        });
+
         // Add hover effects
         item.addEventListener('mouseenter', () => {
             item.style.transform = 'translateY(-2px)';
@@ -1398,6 +5832,10 @@ class SearchHistoryManager {
                 <div class="search-text">
                     <i class="fas fa-map-marker-alt" style="color: #007bff; margin-right: 0.5rem;"></i>
                     ${Utils.escapeHtml(item.query)}
+                    ${item.place && item.place.displayName !== item.query ? `
+                        <div class="search-place">${Utils.escapeHtml(item.place.displayName)}</div>
+                    ` : ''}
+                    ${item.place && item.place.type ? `<span class="search-place-type">${Utils.escapeHtml(item.place.type)}</span>` : ''}
                 </div>
                 <div class="search-meta">
                     <div class="search-time">
@@ -1405,22 +5843,28 @@ class SearchHistoryManager {
                         <span>${Utils.formatTimestamp(item.timestamp)}</span>
                     </div>
                     <div class="search-actions">
-                        <button class="action-btn repeat" onclick="historyManager.repeatSearch('${item.id}')">
+                        <button class="action-btn repeat">
                             <i class="fas fa-redo"></i> Search Again
                         </button>
-                        <button class="action-btn delete" onclick="historyManager.removeSearch('${item.id}')">
+                        <button class="action-btn delete">
                             <i class="fas fa-trash"></i> Delete
                         </button>
                     </div>
                 </div>
             </div>
         `).join('');
+
+        container.querySelectorAll('.history-item').forEach((element, index) => {
+            const id = this.filteredHistory[index].id;
+            element.querySelector('.repeat').addEventListener('click', () => this.repeatSearch(id));
+            element.querySelector('.delete').addEventListener('click', () => this.removeSearch(id));
+        });
     }
 
     repeatSearch(id) {
         const item = this.history.find(h => h.id === id);
         if (item) {
-            notificationSystem.show(`Redirecting to search for "${item.query}"`, 'info');
+            notificationSystem.show(`Redirecting to search for "${Utils.escapeHtml(item.query)}"`, 'info');
             setTimeout(() => {
                 window.location.href = `index.html?search=${encodeURIComponent(item.query)}`;
             }, 1000);
@@ -1500,6 +5944,60 @@ class SearchHistoryManager {
     }
 }
 
+class BackupPageController {
+    static init() {
+        const backupButton = document.getElementById("backupBtn");
+        const restoreInput = document.getElementById("restoreFile");
+
+        if (backupButton) {
+            backupButton.addEventListener("click", async () => {
+                try {
+                    const backup = await BackupService.download();
+                    const count = CONFIG.backup.collections
+                        .reduce((sum, key) => sum + (backup.data[key] || []).length, 0);
+                    notificationSystem.show(`Backup saved with ${count} records and ${backup.sounds.length} custom sounds`, 'success');
+                } catch (error) {
+                    console.error('Error creating backup:', error);
+                    notificationSystem.show('Failed to create backup', 'error');
+                }
+            });
+        }
+
+        if (restoreInput) {
+            restoreInput.addEventListener("change", () => {
+                const file = restoreInput.files[0];
+                restoreInput.value = "";
+                if (file) this.restore(file);
+            });
+        }
+    }
+
+    static async restore(file) {
+        const modeSelect = document.getElementById("restoreMode");
+        const mode = modeSelect ? modeSelect.value : 'merge';
+
+        try {
+            const backup = await BackupService.read(file);
+
+            if (mode === 'replace' && !confirm('Replace all your trips, searches, saved places, accounts and settings with this backup?')) {
+                return;
+            }
+
+            const summary = await BackupService.restore(backup, mode);
+            notificationSystem.show(
+                `Restored ${summary.added} records` +
+                (summary.duplicates > 0 ? `, skipped ${summary.duplicates} already here` : '') +
+                '. Reloading...',
+                'success'
+            );
+            setTimeout(() => window.location.reload(), 1500);
+        } catch (error) {
+            console.error('Error restoring backup:', error);
+            notificationSystem.show(`Could not restore backup: ${Utils.escapeHtml(error.message)}`, 'error', CONFIG.notifications.durations.long);
+        }
+    }
+}
+
 // =============================================================================
 // SYSTEM MONITORING
 // =============================================================================
@@ -1517,7 +6015,10 @@ class SystemMonitor {
         };
 
         const handleOffline = () => {
-            notificationSystem.show('You are offline. Some features may not work. 📡', 'warning', CONFIG.notifications.durations.long);
+            const message = OfflineManager.isAvailable() ?
+                'You are offline. Saved maps and alarms keep working, but search needs a connection. 📡' :
+                'You are offline. Some features may not work. 📡';
+            notificationSystem.show(message, 'warning', CONFIG.notifications.durations.long);
         };
 
         window.addEventListener('online', handleOnline);
@@ -1534,7 +6035,10 @@ class SystemMonitor {
                 const battery = await navigator.getBattery();
                 
                 const updateBatteryStatus = () => {
-                    if (battery.level < 0.2 && !battery.charging) {
+                    appState.battery = { level: battery.level, charging: battery.charging };
+                    TrackingScheduler.refresh();
+
+                    if (battery.level < CONFIG.battery.lowLevel && !battery.charging) {
                         notificationSystem.show(
                             `Low battery: ${Math.round(battery.level * 100)}%. Consider charging your device. 🔋`,
                             'warning',
@@ -1641,9 +6145,27 @@ class SlideshowManager {
 // GLOBAL FUNCTIONS FOR HTML ONCLICK HANDLERS
 // =============================================================================
 
-function repeatTrip(destination) {
-    notificationSystem.show(`Setting destination to: ${destination}`, 'info');
-    sessionStorage.setItem("destination", destination);
+function repeatTrip(tripId) {
+    const trip = StorageService.findTrip(tripId);
+
+    if (!trip) {
+        notificationSystem.show('Trip not found in history', 'error');
+        return;
+    }
+
+    // Trips saved before stops were recorded can still reuse the coordinates
+    // kept with the search history entry
+    const stops = TripPlan.normalizeStops(trip.stops || [trip.destination]);
+    const destination = stops[stops.length - 1];
+    if (!TripPlan.hasCoordinates(destination)) {
+        const entry = StorageService.findSearchEntry(trip.destination);
+        if (entry && entry.place) {
+            stops[stops.length - 1] = { ...destination, lat: entry.place.lat, lng: entry.place.lng };
+        }
+    }
+
+    notificationSystem.show(`Setting destination to: ${Utils.escapeHtml(StorageService.getTripLabel(trip))}`, 'info');
+    TripPlan.save(trip.destination, stops, AlarmSettings.fromTrip(trip));
     
     setTimeout(() => {
         window.location.href = "track.html";
@@ -1663,6 +6185,9 @@ class App {
         // Initialize system monitoring
         SystemMonitor.init();
 
+        // Enable offline support
+        OfflineManager.registerServiceWorker();
+
         // Initialize authentication
         AuthManager.updateLoginStatus();
 
@@ -1686,7 +6211,7 @@ class App {
             HomePageController.init();
         }
 
-        if (currentPage.includes("track.html") || document.getElementById("map")) {
+        if (currentPage.includes("track.html") || document.getElementById("stopsProgress")) {
             TrackPageController.init();
         }
 
@@ -1697,6 +6222,10 @@ class App {
         if (document.getElementById("searchHistoryList")) {
             window.historyManager = new SearchHistoryManager();
         }
+
+        if (document.getElementById("backupBtn")) {
+            BackupPageController.init();
+        }
     }
 
     static setupGlobalEventListeners() {
@@ -1733,6 +6262,8 @@ class App {
         window.StorageService = StorageService;
         window.ErrorHandler = ErrorHandler;
         window.Utils = Utils;
+        window.GPSAlarm = GPSAlarm;
+        window.GpsSimulator = GpsSimulator;
     }
 }
 
@@ -1768,6 +6299,8 @@ document.addEventListener("DOMContentLoaded", () => {
             window.location.href = "login.html";
         }
     } else if (!loggedInUser) {
+        // Pages embedding GPSAlarm opt out with <meta name="gps-alarm-embed">
+        if (document.querySelector('meta[name="gps-alarm-embed"]')) return;
         // No user logged in, redirect to login page
         window.location.href = "login.html";
     }
@@ -0,0 +1,225 @@
+/**
+ * GPS Alarm Service Worker
+ * Keeps the app shell, map libraries and trip map tiles available offline
+ */
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+const CACHE_VERSION = 'v1';
+
+const CACHES = {
+    shell: `gps-alarm-shell-${CACHE_VERSION}`,
+    runtime: `gps-alarm-runtime-${CACHE_VERSION}`,
+    tiles: `gps-alarm-tiles-${CACHE_VERSION}`,
+    // Tiles of the current trip's area, never evicted by browsing
+    trip: `gps-alarm-trip-${CACHE_VERSION}`
+};
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'track.html',
+    'trips.html',
+    'search-history.html',
+    'about.html',
+    'login.html',
+    'register_add.html',
+    'profile.html',
+    'new.js',
+    'new_style.css',
+    'alarm.mp3'
+];
+
+// Libraries and marker icons loaded from CDNs
+const CDN_HOSTS = [
+    'unpkg.com',
+    'cdn.jsdelivr.net',
+    'cdnjs.cloudflare.com',
+    'raw.githubusercontent.com'
+];
+
+// Geocoding and routing answers change, so they always go to the network
+const NETWORK_ONLY_HOSTS = [
+    'nominatim.openstreetmap.org',
+    'photon.komoot.io',
+    'router.project-osrm.org'
+];
+
+const MAX_TILES = 1500;
+
+// =============================================================================
+// LIFECYCLE
+// =============================================================================
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHES.shell)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    const current = Object.values(CACHES);
+
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith('gps-alarm-') && !current.includes(key))
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// =============================================================================
+// FETCH STRATEGIES
+// =============================================================================
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (NETWORK_ONLY_HOSTS.includes(url.hostname)) return;
+
+    if (url.hostname.endsWith('tile.openstreetmap.org')) {
+        event.respondWith(tileFirst(request));
+    } else if (CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request, CACHES.runtime));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(networkFirst(request));
+    }
+});
+
+// Same-origin files: fresh when online, cached copy when offline
+async function networkFirst(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(CACHES.runtime);
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) return cached;
+        if (request.mode === 'navigate') {
+            return caches.match('index.html');
+        }
+        throw error;
+    }
+}
+
+async function cacheFirst(request, cacheName) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        const cache = await caches.open(cacheName);
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+// Tiles are stored without the a/b/c subdomain so any mirror can serve them
+function getTileKey(url) {
+    const parsed = new URL(url);
+    return `https://tile.openstreetmap.org${parsed.pathname}`;
+}
+
+async function tileFirst(request) {
+    const key = getTileKey(request.url);
+    const tripCache = await caches.open(CACHES.trip);
+    const tripTile = await tripCache.match(key);
+    if (tripTile) return tripTile;
+
+    const cache = await caches.open(CACHES.tiles);
+    const cached = await cache.match(key);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        await cache.put(key, response.clone());
+        trimTileCache(cache);
+    }
+    return response;
+}
+
+async function trimTileCache(cache) {
+    const keys = await cache.keys();
+    const excess = keys.length - MAX_TILES;
+
+    // Oldest entries come first
+    for (let i = 0; i < excess; i++) {
+        await cache.delete(keys[i]);
+    }
+}
+
+// =============================================================================
+// TRIP AREA CACHING
+// =============================================================================
+
+self.addEventListener('message', (event) => {
+    const data = event.data || {};
+
+    if (data.type === 'cache-tiles' && Array.isArray(data.urls)) {
+        event.waitUntil(
+            cacheTiles(data.urls).then(count => {
+                if (event.source) {
+                    event.source.postMessage({ type: 'tiles-cached', count: count });
+                }
+            })
+        );
+    }
+});
+
+// The trip cache holds the current trip's area only. Tiles already seen while
+// browsing are moved over instead of downloaded again.
+async function cacheTiles(urls) {
+    const cache = await caches.open(CACHES.trip);
+    const browsing = await caches.open(CACHES.tiles);
+    const keys = new Set(urls.map(getTileKey));
+    let count = 0;
+
+    // One at a time to stay friendly to the OpenStreetMap tile servers
+    for (const url of urls) {
+        const key = getTileKey(url);
+        if (await cache.match(key)) {
+            count++;
+            continue;
+        }
+
+        const seen = await browsing.match(key);
+        if (seen) {
+            await cache.put(key, seen);
+            await browsing.delete(key);
+            count++;
+            continue;
+        }
+
+        try {
+            const response = await fetch(url, { mode: 'no-cors' });
+            if (response.ok || response.type === 'opaque') {
+                await cache.put(key, response);
+                count++;
+            }
+        } catch (error) {
+            console.log('Tile caching stopped, network unavailable:', error);
+            break;
+        }
+    }
+
+    // Drop the area of the previous trip
+    for (const request of await cache.keys()) {
+        if (!keys.has(request.url)) {
+            await cache.delete(request);
+        }
+    }
+    return count;
+}
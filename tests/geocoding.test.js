@@ -0,0 +1,60 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers/load-app');
+
+let app;
+beforeEach(async () => { app = await loadApp(); });
+afterEach(() => app.close());
+
+const names = async (query) =>
+    [...(await app.GazetteerProvider.search(query, { limit: 5 })).map(place => place.name)];
+
+test('the gazetteer prefers exact and prefix matches', async () => {
+    assert.deepStrictEqual(await names('kandy'), ['Kandy', 'Kandy Railway Station']);
+    assert.deepStrictEqual(await names('Galle, Sri Lanka'), ['Galle', 'Galle Railway Station']);
+});
+
+test('the gazetteer matches whole words only', async () => {
+    assert.deepStrictEqual(await names('fort'), ['Colombo Fort Railway Station']);
+    assert.deepStrictEqual(await names('andy'), []);
+});
+
+test('a street named after a town does not match that town', async () => {
+    assert.deepStrictEqual(await names('Kandy Road, Colombo'), ['Colombo']);
+});
+
+test('nearby-biased searches are cached per area of the last fix', () => {
+    app.localStorage.setItem('regionSettings', JSON.stringify({ region: 'lk', biasNearby: true }));
+    const keyAt = (lat, lng) => {
+        app.localStorage.setItem('lastFix', JSON.stringify({ lat, lng, timestamp: Date.now() }));
+        return app.GeocodeCache.getKey('lookup', 'station');
+    };
+
+    assert.strictEqual(keyAt(6.9271, 79.8612), keyAt(6.9302, 79.8589));
+    assert.notStrictEqual(keyAt(6.9271, 79.8612), keyAt(7.2906, 80.6337));
+});
+
+test('saved places are suggested for short queries and when the search fails', async () => {
+    const { document } = app.window;
+    document.body.insertAdjacentHTML('beforeend', '<input id="destinationInput"><div id="suggestions"></div>');
+    const input = document.getElementById('destinationInput');
+    const suggestions = document.getElementById('suggestions');
+
+    app.SavedPlacesService.save({ label: 'Work', name: 'Colombo Fort', lat: 6.9344, lng: 79.8428 });
+    app.LocationService.searchDestinations = async () => { throw new Error('offline'); };
+    app.HomePageController.setupDestinationInput();
+
+    const type = async (text) => {
+        input.value = text;
+        input.dispatchEvent(new app.window.Event('input'));
+        await new Promise(resolve => setTimeout(resolve, 350));
+    };
+
+    await type('Wo');
+    assert.strictEqual(suggestions.style.display, 'block');
+    assert.ok(suggestions.textContent.includes('Work'));
+
+    await type('Work');
+    assert.ok(suggestions.textContent.includes('Work'));
+    assert.ok(suggestions.textContent.includes('could not be searched'));
+});
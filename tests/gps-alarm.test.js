@@ -0,0 +1,234 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers/load-app');
+
+const KANDY = { name: 'Kandy', lat: 7.2906, lng: 80.6337 };
+const PERADENIYA = { name: 'Peradeniya', lat: 7.2690, lng: 80.5940 };
+const KM_PER_DEGREE = 111.195;
+
+let app;
+let time;
+
+const south = (km, stop = KANDY) => [stop.lat - km / KM_PER_DEGREE, stop.lng];
+const drive = (lat, lng, seconds = 20) => app.geolocation.emit(lat, lng, 10, time += seconds * 1000);
+
+// Records every event an alarm emits, in order
+function record(alarm) {
+    const events = [];
+    ['start', 'pause', 'resume', 'stop', 'position', 'alert', 'armed', 'stopreached', 'arrive', 'exit', 'error']
+        .forEach(type => alarm.on(type, detail => events.push({ type, detail })));
+    return events;
+}
+
+beforeEach(async () => {
+    app = await loadApp();
+    time = Date.now();
+});
+afterEach(() => app.close());
+
+test('create validates the destination and stops', () => {
+    assert.throws(() => app.GPSAlarm.create({}), /valid lat and lng/);
+    assert.throws(() => app.GPSAlarm.create({ destination: { lat: 95, lng: 0 } }), /valid lat and lng/);
+    assert.throws(() => app.GPSAlarm.create({ destination: KANDY, stops: [{ name: 'Nowhere' }] }), /valid lat and lng/);
+
+    const alarm = app.GPSAlarm.create({ destination: { lat: 7.2906, lng: 80.6337 }, radius: 0.4 });
+    assert.strictEqual(alarm.stops[0].name, '7.29060, 80.63370');
+    assert.strictEqual(alarm.settings.radius, 0.4);
+    assert.strictEqual(alarm.settings.alerts.length, app.CONFIG.alerts.length);
+    assert.strictEqual(alarm.state, 'idle');
+});
+
+test('start, pause, resume and stop control the GPS', () => {
+    const alarm = app.GPSAlarm.create({ destination: KANDY });
+    const events = record(alarm);
+
+    alarm.start();
+    assert.strictEqual(alarm.state, 'running');
+    assert.strictEqual(app.GPSAlarm.getActive(), alarm);
+    assert.strictEqual(app.geolocation.requests.length, 1);
+
+    // Close by, the GPS runs continuously
+    drive(...south(1));
+    assert.strictEqual(app.geolocation.watchers.size, 1);
+
+    alarm.pause();
+    assert.strictEqual(alarm.state, 'paused');
+    assert.strictEqual(app.geolocation.watchers.size, 0);
+
+    alarm.start();
+    assert.strictEqual(alarm.state, 'running');
+    assert.strictEqual(app.geolocation.watchers.size, 1);
+
+    alarm.stop();
+    alarm.stop();
+    assert.strictEqual(alarm.state, 'stopped');
+    assert.strictEqual(app.geolocation.watchers.size, 0);
+    const lifecycle = ['start', 'pause', 'resume', 'stop'];
+    assert.deepStrictEqual(events.map(event => event.type).filter(type => lifecycle.includes(type)), lifecycle);
+});
+
+test('rough fixes far away still bring the GPS closer in', () => {
+    const alarm = app.GPSAlarm.create({ destination: KANDY });
+    alarm.start();
+
+    // Far away, fixes are only polled now and then
+    drive(...south(50), 60);
+    assert.strictEqual(app.appState.trackingProfile, 'far');
+    assert.strictEqual(app.geolocation.watchers.size, 0);
+
+    // Coarse network fixes are too rough to alarm on, but show the trip getting closer
+    [15, 3].forEach(km => app.geolocation.emit(...south(km), 500, time += 60000));
+    assert.strictEqual(app.appState.trackingProfile, 'near');
+    assert.strictEqual(app.geolocation.watchers.size, 1);
+    assert.strictEqual(app.appState.breadcrumbs.length, 1);
+});
+
+test('fixes arriving after pause or stop are ignored', () => {
+    const alarm = app.GPSAlarm.create({ destination: KANDY, alerts: [{ distance: 2, message: '2 km to go' }] });
+    const events = record(alarm);
+    alarm.start();
+    const [lat, lng] = south(1);
+    const fix = () => ({ coords: { latitude: lat, longitude: lng, accuracy: 10, speed: null }, timestamp: time += 20000 });
+
+    // The first fix was requested on start and only answers now
+    const [pending] = app.geolocation.requests;
+    alarm.pause();
+    pending.success(fix());
+
+    alarm.resume();
+    const [afterResume] = app.geolocation.requests;
+    alarm.stop();
+    afterResume.success(fix());
+
+    assert.deepStrictEqual(events.map(event => event.type), ['start', 'pause', 'resume', 'stop']);
+});
+
+test('pausing holds the snooze and the wake lock until resumed', async () => {
+    const locks = [];
+    const request = async () => {
+        const lock = { released: false, release() { this.released = true; } };
+        locks.push(lock);
+        return lock;
+    };
+    Object.defineProperty(app.window.navigator, 'wakeLock', { value: { request }, configurable: true });
+    app.CONFIG.alarm.snoozeMinutes = 0.0005;   // 30 ms
+    const alarm = app.GPSAlarm.create({ destination: KANDY }).start();
+    await app.window.notificationSystem.requestWakeLock();
+    app.TrackingService.snoozeArrival('timer');
+
+    alarm.pause();
+    assert.strictEqual(app.appState.snoozeTimer, null);
+    assert.ok(locks[0].released);
+
+    // The snooze does not run out while paused
+    await new Promise(resolve => setTimeout(resolve, 60));
+    assert.ok(!app.messages.some(item => item.type === 'alarm'));
+
+    alarm.resume();
+    await new Promise(resolve => setTimeout(resolve, 60));
+    assert.strictEqual(locks.length, 2);
+    assert.ok(!locks[1].released);
+    assert.ok(app.messages.some(item => item.type === 'alarm' && item.message.includes('Snooze is over')));
+    alarm.stop();
+});
+
+test('events follow a trip from start to arrival without a map', () => {
+    const alarm = app.GPSAlarm.create({
+        destination: KANDY,
+        radius: 0.2,
+        alerts: [{ distance: 1, message: '1 km to go' }, { distance: 0.5, message: 'Almost there', severity: 'high' }]
+    });
+    const events = record(alarm);
+    alarm.start();
+
+    for (let km = 2; km >= 0; km -= 0.25) drive(...south(km));
+    for (let i = 0; i < 5; i++) drive(KANDY.lat, KANDY.lng, 10);
+
+    const types = events.map(event => event.type).filter(type => type !== 'position');
+    assert.deepStrictEqual(types, ['start', 'alert', 'alert', 'arrive']);
+
+    const alerts = events.filter(event => event.type === 'alert').map(event => event.detail);
+    assert.deepStrictEqual(alerts.map(alert => alert.message), ['1 km to go', 'Almost there']);
+    assert.strictEqual(alerts[0].kind, 'distance');
+
+    const position = events.find(event => event.type === 'position').detail;
+    assert.strictEqual(position.distanceSource, 'straight');
+    assert.ok(position.distance > 1.5);
+
+    assert.strictEqual(app.StorageService.getTrips()[0].destination, 'Kandy');
+});
+
+test('stopreached is emitted for every stop before the destination', () => {
+    const alarm = app.GPSAlarm.create({ destination: KANDY, stops: [PERADENIYA] });
+    const events = record(alarm);
+    alarm.start();
+
+    for (let i = 0; i < 6; i++) drive(PERADENIYA.lat, PERADENIYA.lng, 10);
+
+    const reached = events.find(event => event.type === 'stopreached');
+    assert.ok(reached);
+    assert.strictEqual(reached.detail.stop.name, 'Peradeniya');
+    assert.strictEqual(reached.detail.next.name, 'Kandy');
+    assert.strictEqual(app.appState.currentStop, 1);
+});
+
+test('exit alarms arm inside the area and report leaving it', () => {
+    const alarm = app.GPSAlarm.create({ destination: KANDY, stops: [PERADENIYA], trigger: 'exit', radius: 0.5 });
+    assert.strictEqual(alarm.stops.length, 1);
+
+    const events = record(alarm);
+    alarm.start();
+
+    for (let i = 0; i < 5; i++) drive(KANDY.lat, KANDY.lng, 10);
+    for (let km = 0.25; km <= 2; km += 0.25) drive(...south(km));
+
+    const types = events.map(event => event.type).filter(type => type !== 'position');
+    assert.deepStrictEqual(types, ['start', 'armed', 'exit', 'stop']);
+    assert.strictEqual(alarm.state, 'stopped');
+});
+
+test('starting a second alarm stops the first', () => {
+    const first = app.GPSAlarm.create({ destination: KANDY }).start();
+    drive(...south(1));
+    const second = app.GPSAlarm.create({ destination: PERADENIYA }).start();
+    drive(...south(1, PERADENIYA));
+
+    assert.strictEqual(first.state, 'stopped');
+    assert.strictEqual(second.state, 'running');
+    assert.strictEqual(app.appState.destLat, PERADENIYA.lat);
+    assert.strictEqual(app.geolocation.watchers.size, 1);
+});
+
+test('a failing listener does not break the alarm', () => {
+    const alarm = app.GPSAlarm.create({ destination: KANDY });
+    const positions = [];
+    alarm.on('position', () => { throw new Error('listener bug'); });
+    alarm.on('position', detail => positions.push(detail));
+    alarm.start();
+
+    drive(...south(3));
+    assert.strictEqual(positions.length, 1);
+    assert.ok(app.logs.some(entry => entry.text.includes('Error in position listener')));
+});
+
+test('a simulator replays the trip deterministically', async () => {
+    app.CONFIG.simulation.startDistance = 2;
+    const track = app.GpsSimulator.buildLine([KANDY]);
+    const simulator = new app.GpsSimulator(track, 60);
+    const alarm = app.GPSAlarm.create({ destination: KANDY, simulator });
+    const events = record(alarm);
+    alarm.start();
+
+    // The first fix is answered asynchronously, like a real GPS
+    await new Promise(resolve => app.window.setTimeout(resolve, 10));
+    assert.strictEqual(simulator.watchers.size, 1);
+    simulator.pause();
+
+    const duration = simulator.getDuration();
+    while (simulator.elapsed < duration + 60000) simulator.tick();
+
+    assert.ok(events.some(event => event.type === 'arrive'));
+    assert.strictEqual(app.geolocation.watchers.size, 0);
+    assert.strictEqual(app.geolocation.requests.length, 0);
+    assert.strictEqual(app.StorageService.getTrips()[0].duration, Math.round(simulator.elapsed / 60000));
+});
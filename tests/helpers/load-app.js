@@ -0,0 +1,179 @@
+/**
+ * Loads new.js into a jsdom window with fake browser APIs, so the app
+ * classes can be tested headless and offline.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '..', '..', 'new.js'), 'utf8');
+
+// Globals declared with class/const in a classic script are not window
+// properties, so tests reach them through window.eval
+const EXPORTS = [
+    'CONFIG', 'appState', 'Utils', 'StorageService', 'SearchHistoryManager',
+    'TrackingService', 'AlarmSettings', 'TripPlan', 'BackupService', 'GPSAlarm', 'GpsSimulator', 'GazetteerProvider', 'GeocodeCache', 'TripStats',
+    'LocationService', 'SavedPlacesService', 'HomePageController'
+];
+
+// Storage with a switch to make writes fail like a full quota
+class FakeStorage {
+    constructor() {
+        this.data = new Map();
+        this.failWrites = false;
+    }
+
+    getItem(key) {
+        return this.data.has(key) ? this.data.get(key) : null;
+    }
+
+    setItem(key, value) {
+        if (this.failWrites) throw new Error('QuotaExceededError');
+        this.data.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.data.delete(key);
+    }
+
+    clear() {
+        this.data.clear();
+    }
+
+    key(index) {
+        return [...this.data.keys()][index] || null;
+    }
+
+    get length() {
+        return this.data.size;
+    }
+}
+
+// Hands out watches and one-off requests, and lets tests push positions to them
+class FakeGeolocation {
+    constructor() {
+        this.watchers = new Map();
+        this.requests = [];
+        this.nextId = 1;
+    }
+
+    watchPosition(success, error) {
+        const id = this.nextId++;
+        this.watchers.set(id, { success, error });
+        return id;
+    }
+
+    clearWatch(id) {
+        this.watchers.delete(id);
+    }
+
+    getCurrentPosition(success, error) {
+        this.requests.push({ success, error });
+    }
+
+    emit(lat, lng, accuracy = 10, timestamp = Date.now()) {
+        const position = { coords: { latitude: lat, longitude: lng, accuracy, speed: null }, timestamp };
+
+        // A fix answers the waiting requests once and every watch already running
+        const requests = this.requests;
+        const watchers = [...this.watchers.values()];
+        this.requests = [];
+        requests.forEach(request => request.success(position));
+        watchers.forEach(watcher => watcher.success(position));
+    }
+}
+
+// Stands in for Leaflet: every property is a chainable no-op
+function createLeafletStub() {
+    const stub = new Proxy(function () {}, {
+        get: (target, property) => {
+            if (property === Symbol.toPrimitive) return () => '';
+            if (property === 'then') return undefined;
+            return stub;
+        },
+        apply: () => stub,
+        construct: () => stub
+    });
+    return stub;
+}
+
+async function loadApp() {
+    // Console output from the app is kept for assertions instead of cluttering the test report
+    const logs = [];
+    const virtualConsole = new VirtualConsole();
+    ['log', 'warn', 'error'].forEach(level => {
+        virtualConsole.on(level, (...args) => logs.push({ level, text: args.join(' ') }));
+    });
+    virtualConsole.on('jsdomError', error => logs.push({ level: 'jsdom', text: error.message }));
+
+    const dom = new JSDOM('<!DOCTYPE html><body><div id="status"></div></body>', {
+        url: 'http://localhost/track.html',
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        virtualConsole
+    });
+    const window = dom.window;
+
+    // Wait for DOMContentLoaded, so the page start-up listeners in new.js never run
+    if (window.document.readyState !== 'complete') {
+        await new Promise(resolve => window.addEventListener('load', resolve));
+    }
+
+    const localStorage = new FakeStorage();
+    const sessionStorage = new FakeStorage();
+    const geolocation = new FakeGeolocation();
+    const nativeNotifications = [];
+
+    Object.defineProperty(window, 'localStorage', { value: localStorage, configurable: true });
+    Object.defineProperty(window, 'sessionStorage', { value: sessionStorage, configurable: true });
+    Object.defineProperty(window.navigator, 'geolocation', { value: geolocation, configurable: true });
+
+    window.L = createLeafletStub();
+
+    window.Notification = class {
+        constructor(title, options) {
+            nativeNotifications.push({ title, body: options && options.body });
+        }
+        close() {}
+    };
+    window.Notification.permission = 'granted';
+    window.Notification.requestPermission = async () => 'granted';
+
+    // Run as a classic script like the pages do
+    new vm.Script(SOURCE, { filename: 'new.js' }).runInContext(dom.getInternalVMContext());
+
+    const app = {};
+    EXPORTS.forEach(name => {
+        app[name] = window.eval(name);
+    });
+
+    // Record every in-app message, and keep alarm sounds and timers out of the tests
+    const messages = [];
+    const notifications = new (window.eval('NotificationSystem'))();
+    const show = notifications.show.bind(notifications);
+    notifications.show = (message, type, ...rest) => {
+        messages.push({ message, type });
+        return show(message, type, ...rest);
+    };
+    notifications.playNotificationSound = () => {};
+    notifications.startAlarm = (message) => messages.push({ message, type: 'alarm' });
+    notifications.stopAlarm = () => {};
+    window.notificationSystem = notifications;
+
+    return {
+        window,
+        localStorage,
+        sessionStorage,
+        geolocation,
+        messages,
+        nativeNotifications,
+        logs,
+        map: createLeafletStub(),
+        ...app,
+        close: () => window.close()
+    };
+}
+
+module.exports = { loadApp };
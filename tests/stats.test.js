@@ -0,0 +1,48 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers/load-app');
+
+let app;
+before(async () => { app = await loadApp(); });
+after(() => app.close());
+
+// One degree of latitude north from Colombo, about 111 km
+const PATH = [[0, 6.9, 79.86, 10, null], [3600, 7.9, 79.86, 10, null]];
+
+test('trips without a recorded route are left out of the distance', () => {
+    const trips = [
+        { timestamp: '2024-03-10T10:00:00.000Z', duration: 60, distance: 0.2, path: PATH },
+        { timestamp: '2024-03-11T10:00:00.000Z', duration: 30, distance: 0.2 }
+    ];
+
+    assert.strictEqual(app.TripStats.getDistance(trips[1]), null);
+
+    const summary = app.TripStats.summarize(trips);
+    assert.strictEqual(summary.trips, 2);
+    assert.strictEqual(summary.measured, 1);
+    assert.ok(Math.abs(summary.distance - 111.2) < 0.1);
+    assert.ok(Math.abs(summary.averageSpeed - 111.2) < 0.1, 'speed only from trips with a route');
+    assert.strictEqual(summary.duration, 90);
+});
+
+test('trips per month include the months without trips', () => {
+    const trips = ['2024-01-15', '2024-01-20', '2024-04-02'].map(date => ({ timestamp: `${date}T12:00:00.000Z` }));
+
+    assert.deepStrictEqual(
+        [...app.TripStats.tripsPerPeriod(trips, 'month').map(item => `${item.label}=${item.value}`)],
+        ['2024-01=2', '2024-02=0', '2024-03=0', '2024-04=1']
+    );
+});
+
+test('trips per week include empty weeks and keep the latest periods', () => {
+    const trips = ['2024-01-01', '2024-01-22'].map(date => ({ timestamp: `${date}T12:00:00.000Z` }));
+    assert.deepStrictEqual(
+        [...app.TripStats.tripsPerPeriod(trips, 'week').map(item => item.value)],
+        [1, 0, 0, 1]
+    );
+
+    const spread = [{ timestamp: '2020-01-15T12:00:00.000Z' }, { timestamp: '2024-01-15T12:00:00.000Z' }];
+    const months = app.TripStats.tripsPerPeriod(spread, 'month');
+    assert.strictEqual(months.length, app.CONFIG.stats.maxPeriods);
+    assert.strictEqual(months[months.length - 1].label, '2024-01');
+});
@@ -0,0 +1,234 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers/load-app');
+
+let app;
+beforeEach(async () => { app = await loadApp(); });
+afterEach(() => app.close());
+
+const readJson = (key) => JSON.parse(app.localStorage.getItem(key));
+
+test('saveSearchHistory keeps the newest maxHistory entries without duplicates', () => {
+    const max = app.CONFIG.storage.maxHistory;
+    for (let i = 0; i < max + 5; i++) {
+        app.StorageService.saveSearchHistory(`Place ${i}`);
+    }
+    app.StorageService.saveSearchHistory('Place 10');
+
+    const history = readJson('searchHistory');
+    assert.strictEqual(history.length, max);
+    assert.strictEqual(history[0].query, 'Place 10');
+    assert.strictEqual(history.filter(item => item.query === 'Place 10').length, 1);
+    assert.strictEqual(history[1].query, `Place ${max + 4}`);
+});
+
+test('saveSearchHistory replaces legacy string entries for the same query', () => {
+    app.localStorage.setItem('searchHistory', JSON.stringify(['Kandy', 'Galle']));
+    app.StorageService.saveSearchHistory('Kandy', null, { lat: 7.29, lng: 80.63, displayName: 'Kandy, Sri Lanka' });
+
+    const history = readJson('searchHistory');
+    assert.strictEqual(history.length, 2);
+    assert.strictEqual(history[0].query, 'Kandy');
+    assert.strictEqual(history[0].place.displayName, 'Kandy, Sri Lanka');
+    assert.strictEqual(history[1], 'Galle');
+});
+
+test('saveTripHistory keeps the newest maxTrips trips', () => {
+    const max = app.CONFIG.storage.maxTrips;
+    for (let i = 0; i < max + 3; i++) {
+        app.StorageService.saveTripHistory(`Trip ${i}`, 1.234, 5);
+    }
+
+    const trips = readJson('tripHistory');
+    assert.strictEqual(trips.length, max);
+    assert.strictEqual(trips[0].destination, `Trip ${max + 2}`);
+    assert.strictEqual(trips[0].distance, 1.23);
+    assert.strictEqual(trips[0].stops[0].name, `Trip ${max + 2}`);
+});
+
+test('saveTripHistory reports a failed write instead of throwing', () => {
+    app.localStorage.failWrites = true;
+    app.StorageService.saveTripHistory('Kandy', 2, 10);
+
+    assert.strictEqual(app.localStorage.getItem('tripHistory'), null);
+    assert.ok(app.messages.some(item => item.type === 'error' && item.message === 'Failed to save trip history'));
+});
+
+test('getTrips survives corrupted storage', () => {
+    app.localStorage.setItem('tripHistory', '{not json');
+    assert.strictEqual(app.StorageService.getTrips().length, 0);
+});
+
+test('updateTrip only changes the label, note and tags', () => {
+    app.StorageService.saveTripHistory('Kandy', 2, 10);
+    const id = readJson('tripHistory')[0].id;
+
+    app.StorageService.updateTrip(id, { label: ' Office ', note: ' weekly ', tags: 'work, , work, daily', distance: 99 });
+    let trip = app.StorageService.findTrip(id);
+    assert.strictEqual(trip.label, 'Office');
+    assert.strictEqual(trip.note, 'weekly');
+    assert.deepStrictEqual([...trip.tags], ['work', 'daily']);
+    assert.strictEqual(trip.distance, 2);
+    assert.strictEqual(app.StorageService.getTripLabel(trip), 'Office');
+
+    // Clearing the label falls back to the destination
+    app.StorageService.updateTrip(id, { label: '' });
+    trip = app.StorageService.findTrip(id);
+    assert.strictEqual(trip.label, undefined);
+    assert.strictEqual(app.StorageService.getTripLabel(trip), 'Kandy');
+
+    assert.strictEqual(app.StorageService.updateTrip('missing', { label: 'x' }), null);
+});
+
+test('deleteTrip removes only the given trip', () => {
+    app.StorageService.saveTripHistory('Kandy', 2, 10);
+    app.StorageService.saveTripHistory('Galle', 3, 20);
+    const [galle, kandy] = readJson('tripHistory');
+
+    app.StorageService.deleteTrip(galle.id);
+    assert.deepStrictEqual([...app.StorageService.getTrips().map(trip => trip.id)], [kandy.id]);
+});
+
+test('SearchHistoryManager.loadHistory migrates plain string entries', () => {
+    app.localStorage.setItem('searchHistory', JSON.stringify([
+        'Kandy',
+        { query: 'Galle', timestamp: '2024-01-01T00:00:00.000Z' },
+        { query: 'Ella', timestamp: '2024-01-02T00:00:00.000Z', id: 'ella' }
+    ]));
+
+    const history = app.SearchHistoryManager.prototype.loadHistory.call({});
+    assert.strictEqual(history.length, 3);
+    assert.strictEqual(history[0].query, 'Kandy');
+    assert.ok(!isNaN(Date.parse(history[0].timestamp)));
+    assert.ok(history[0].id);
+    assert.strictEqual(history[1].timestamp, '2024-01-01T00:00:00.000Z');
+    assert.ok(history[1].id);
+    assert.strictEqual(history[2].id, 'ella');
+});
+
+test('SearchHistoryManager.loadHistory reports corrupted history', () => {
+    app.localStorage.setItem('searchHistory', 'oops');
+
+    const history = app.SearchHistoryManager.prototype.loadHistory.call({});
+    assert.strictEqual(history.length, 0);
+    assert.ok(app.messages.some(item => item.type === 'error'));
+});
+
+test('AlarmSettings.fromTrip fills in defaults for trips saved before alarm settings', () => {
+    const settings = app.AlarmSettings.fromTrip({ destination: 'Kandy', distance: 2 });
+    const defaults = app.AlarmSettings.getDefaults();
+
+    assert.strictEqual(settings.trigger, defaults.trigger);
+    assert.strictEqual(settings.radius, defaults.radius);
+    assert.strictEqual(settings.alerts.length, defaults.alerts.length);
+});
+
+test('TripPlan.loadStops ignores stops left over from another trip', () => {
+    app.sessionStorage.setItem('tripStops', JSON.stringify(['Kandy', { name: 'Ella', lat: 6.87, lng: 81.05 }]));
+
+    assert.strictEqual(app.TripPlan.loadStops('Ella').length, 2);
+    assert.deepStrictEqual([...app.TripPlan.loadStops('Galle').map(stop => stop.name)], ['Galle']);
+});
+
+test('BackupService migrates a raw localStorage dump', () => {
+    const backup = app.BackupService.migrate({
+        searchHistory: JSON.stringify(['Kandy']),
+        tripHistory: JSON.stringify([{ destination: 'Kandy', distance: 2 }])
+    });
+
+    assert.strictEqual(backup.schemaVersion, app.CONFIG.backup.schemaVersion);
+    assert.strictEqual(backup.data.tripHistory[0].destination, 'Kandy');
+    assert.strictEqual(backup.data.searchHistory[0], 'Kandy');
+});
+
+test('BackupService rejects files that are not backups', () => {
+    assert.throws(() => app.BackupService.migrate([]), /not a GPS Alarm backup/);
+    assert.throws(() => app.BackupService.migrate({ hello: 'world' }), /not a GPS Alarm backup/);
+    assert.throws(() => app.BackupService.migrate({ tripHistory: '{broken' }), /damaged/);
+    assert.throws(() => app.BackupService.migrate({ schemaVersion: 99 }), /newer version/);
+});
+
+test('restoring the same backup twice does not duplicate legacy searches', async () => {
+    const backup = () => app.BackupService.validate(app.BackupService.migrate({
+        searchHistory: JSON.stringify(['Kandy', { query: 'Galle', timestamp: '2024-01-01T00:00:00.000Z' }])
+    }));
+
+    await app.BackupService.restore(backup(), 'merge');
+    const summary = await app.BackupService.restore(backup(), 'merge');
+
+    assert.strictEqual(summary.added, 0);
+    assert.strictEqual(summary.duplicates, 2);
+    assert.deepStrictEqual([...readJson('searchHistory').map(item => item.query)].sort(), ['Galle', 'Kandy']);
+});
+
+test('merging accounts skips a username or email that is already taken', async () => {
+    app.localStorage.setItem('gpsAlarmUsers', JSON.stringify([{ id: 1, username: 'nimal', email: 'nimal@example.com' }]));
+
+    const backup = app.BackupService.validate({
+        app: 'gps-alarm',
+        schemaVersion: 1,
+        data: {
+            gpsAlarmUsers: [
+                { id: 2, username: 'nimal', email: 'other@example.com' },
+                { id: 3, username: 'kamal', email: 'nimal@example.com' },
+                { id: 4, username: 'sunil', email: 'sunil@example.com' }
+            ]
+        }
+    });
+    const summary = await app.BackupService.restore(backup, 'merge');
+
+    assert.strictEqual(summary.added, 1);
+    assert.deepStrictEqual([...readJson('gpsAlarmUsers').map(user => user.username)].sort(), ['nimal', 'sunil']);
+});
+
+test('replace mode removes data the backup does not contain', async () => {
+    app.StorageService.saveTripHistory('Kandy', 2, 10);
+    app.localStorage.setItem('savedPlaces', JSON.stringify([{ id: 'home', label: 'Home', lat: 7, lng: 80 }]));
+    app.localStorage.setItem('regionSettings', JSON.stringify({ region: 'in', biasNearby: true }));
+
+    const backup = app.BackupService.validate({
+        app: 'gps-alarm',
+        schemaVersion: 1,
+        data: { searchHistory: [{ id: 'a', query: 'Galle', timestamp: '2024-01-01T00:00:00.000Z' }] }
+    });
+    await app.BackupService.restore(backup, 'replace');
+
+    assert.strictEqual(readJson('searchHistory').length, 1);
+    assert.strictEqual(app.localStorage.getItem('tripHistory'), null);
+    assert.strictEqual(app.localStorage.getItem('savedPlaces'), null);
+    assert.strictEqual(app.localStorage.getItem('regionSettings'), null);
+});
+
+test('restored ids and trip numbers cannot carry markup', async () => {
+    const evil = "x');alert(document.cookie);('";
+    const backup = app.BackupService.validate({
+        app: 'gps-alarm',
+        schemaVersion: 1,
+        data: {
+            tripHistory: [{ id: evil, destination: 'Kandy', distance: '<img src=x onerror=alert(1)>', duration: '12', timestamp: '2024-01-01T00:00:00.000Z' }],
+            searchHistory: [{ id: evil, query: 'Galle', timestamp: '2024-01-01T00:00:00.000Z' }, { id: 'lq2x9abc', query: 'Ella' }]
+        }
+    });
+    await app.BackupService.restore(backup, 'replace');
+
+    const [trip] = readJson('tripHistory');
+    assert.notStrictEqual(trip.id, evil);
+    assert.ok(app.Utils.isGeneratedId(trip.id));
+    assert.strictEqual(trip.distance, 0);
+    assert.strictEqual(trip.duration, 12);
+
+    const ids = readJson('searchHistory').map(item => item.id);
+    assert.ok(!ids.includes(evil));
+    assert.ok(ids.includes('lq2x9abc'), 'ids in our own format are kept');
+});
+
+test('starting a saved place remembers where it is for Search Again', () => {
+    const place = app.SavedPlacesService.save({ label: 'Work', name: 'Colombo Fort', lat: 6.9344, lng: 79.8428 });
+    app.HomePageController.stops = [];
+    app.HomePageController.startSavedPlace(place.id);
+
+    const entry = app.StorageService.findSearchEntry('Work');
+    assert.strictEqual(entry.place.lat, 6.9344);
+    assert.strictEqual(entry.place.lng, 79.8428);
+    assert.strictEqual(entry.place.displayName, 'Colombo Fort');
+});
@@ -0,0 +1,174 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers/load-app');
+
+const DESTINATION = { name: 'Kandy', lat: 7.2906, lng: 80.6337 };
+const KM_PER_DEGREE = 111.195;
+
+let app;
+
+// A point the given distance due south of the destination
+const south = (km, stop = DESTINATION) => [stop.lat - km / KM_PER_DEGREE, stop.lng];
+
+function startTrip(stops = [DESTINATION], settings = {}) {
+    const { appState, AlarmSettings } = app;
+    appState.tripSettings = AlarmSettings.normalize({ ...AlarmSettings.getDefaults(), distanceMode: 'straight', ...settings });
+    appState.stops = stops.map((stop, index) => ({ ...stop, status: index === 0 ? 'active' : 'pending', marker: null }));
+    appState.currentStop = 0;
+    appState.destLat = stops[0].lat;
+    appState.destLng = stops[0].lng;
+    app.sessionStorage.setItem('destination', stops[stops.length - 1].name);
+}
+
+const check = (km, accuracy = 10) => app.TrackingService.checkNotifications(...south(km), accuracy);
+const alertMessages = () => app.messages
+    .map(item => item.message)
+    .filter(message => message.includes('remaining to destination'));
+
+beforeEach(async () => { app = await loadApp(); });
+afterEach(() => app.close());
+
+test('distance alerts fire once each, widest first, while approaching', () => {
+    startTrip();
+    [3, 1.5, 1.4, 0.9, 0.6, 0.5].forEach(km => check(km));
+
+    assert.deepStrictEqual(alertMessages(), [
+        '📍 2 kilometers remaining to destination',
+        '📍 1 kilometer remaining to destination',
+        '📍 500 meters remaining to destination'
+    ]);
+});
+
+test('alerts that were jumped over are not fired afterwards', () => {
+    startTrip();
+    check(0.45);
+    check(1.5);
+    check(0.4);
+
+    assert.deepStrictEqual(alertMessages(), ['📍 500 meters remaining to destination']);
+});
+
+test('arrival needs several accurate fixes in a row inside the radius', () => {
+    startTrip();
+    const fixes = app.CONFIG.positioning.confirmFixes;
+
+    for (let i = 0; i < fixes - 1; i++) check(0.1);
+    check(0.1, app.CONFIG.positioning.confirmAccuracy + 50);   // too rough to count
+    check(1);                                                    // drifted out, count restarts
+    for (let i = 0; i < fixes - 1; i++) check(0.1);
+
+    assert.strictEqual(app.appState.notified.arrived, undefined);
+    assert.strictEqual(app.localStorage.getItem('tripHistory'), null);
+
+    check(0.1);
+    assert.strictEqual(app.appState.notified.arrived, true);
+    assert.ok(app.messages.some(item => item.type === 'alarm'));
+});
+
+test('handleArrival saves the trip with its stops and settings', () => {
+    startTrip([{ name: 'Peradeniya', lat: 7.2690, lng: 80.5940 }, DESTINATION], { radius: 0.5 });
+    app.appState.currentStop = 1;
+    app.appState.trackingStartTime = new Date(Date.now() - 25 * 60000);
+
+    app.TrackingService.handleArrival(0.2);
+
+    const [trip] = app.StorageService.getTrips();
+    assert.strictEqual(trip.destination, 'Kandy');
+    assert.strictEqual(trip.distance, 0.2);
+    assert.strictEqual(trip.duration, 25);
+    assert.strictEqual(trip.radius, 0.5);
+    assert.deepStrictEqual([...trip.stops.map(stop => stop.name)], ['Peradeniya', 'Kandy']);
+    assert.strictEqual(app.appState.stops[1].status, 'reached');
+});
+
+test('reaching an intermediate stop moves on to the next one', () => {
+    const first = { name: 'Peradeniya', lat: 7.2690, lng: 80.5940 };
+    startTrip([first, DESTINATION]);
+
+    for (let i = 0; i < app.CONFIG.positioning.confirmFixes; i++) {
+        app.TrackingService.checkNotifications(first.lat, first.lng, 10);
+    }
+
+    assert.strictEqual(app.appState.currentStop, 1);
+    assert.strictEqual(app.appState.destLat, DESTINATION.lat);
+    assert.strictEqual(app.appState.stops[0].status, 'reached');
+    assert.strictEqual(app.appState.notified.arrived, undefined);
+    assert.strictEqual(app.localStorage.getItem('tripHistory'), null);
+});
+
+test('an exit alarm arms inside the zone and fires after leaving it', () => {
+    startTrip([DESTINATION], { trigger: 'exit', radius: 0.5 });
+    const fixes = app.CONFIG.positioning.confirmFixes;
+
+    check(2);
+    assert.strictEqual(app.appState.notified.inside, undefined);
+
+    for (let i = 0; i < fixes; i++) check(0.1);
+    assert.strictEqual(app.appState.notified.inside, true);
+
+    for (let i = 0; i < fixes; i++) check(1);
+    assert.strictEqual(app.appState.notified.exited, true);
+    assert.strictEqual(app.StorageService.getTrips()[0].type, 'exit');
+});
+
+test('fixes from the fake GPS drive a trip to arrival', () => {
+    startTrip();
+    app.appState.map = app.map;
+    app.appState.offlineAreaCached = true;
+    app.appState.trackingProfile = 'near';
+    app.TrackingService.startPositionTracking();
+    assert.strictEqual(app.geolocation.watchers.size, 1);
+
+    // Approach at a steady pace, then wait at the destination
+    let time = Date.now();
+    for (let km = 3; km >= 0; km -= 0.25) {
+        app.geolocation.emit(...south(km), 10, time += 20000);
+    }
+    for (let i = 0; i < 5; i++) {
+        app.geolocation.emit(DESTINATION.lat, DESTINATION.lng, 10, time += 10000);
+    }
+
+    assert.strictEqual(app.appState.notified.arrived, true);
+    assert.strictEqual(alertMessages().length, 3);
+
+    const [trip] = app.StorageService.getTrips();
+    assert.strictEqual(trip.destination, 'Kandy');
+    assert.ok(trip.path.length > 1, 'the route travelled is recorded');
+
+    app.TrackingService.stopTracking();
+    assert.strictEqual(app.geolocation.watchers.size, 0);
+});
+
+test('rough fixes are ignored and reported as a weak signal', () => {
+    startTrip();
+    app.appState.map = app.map;
+    app.TrackingService.handlePositionUpdate({
+        coords: { latitude: DESTINATION.lat, longitude: DESTINATION.lng, accuracy: 2000, speed: null },
+        timestamp: Date.now()
+    });
+
+    assert.strictEqual(app.appState.zoneFixes.arrival, undefined);
+    assert.strictEqual(app.appState.breadcrumbs.length, 0);
+});
+
+test('a vehicle passing through at 60 km/h still arrives', () => {
+    startTrip([DESTINATION], { radius: 0.2 });
+    app.appState.map = app.map;
+    app.appState.offlineAreaCached = true;
+    app.appState.trackingProfile = 'near';
+    app.TrackingService.startPositionTracking();
+
+    // Fair fixes every 5 seconds (about 83 m apart), straight through the 400 m wide zone
+    let time = Date.now();
+    let lag = 0;
+    for (let km = 2; km >= -1; km -= 60 / 3600 * 5) {
+        const [lat, lng] = south(km);
+        app.geolocation.emit(lat, lng, 40, time += 5000);
+        const smoothed = app.appState.positionFilter;
+        lag = Math.max(lag, app.Utils.haversine(smoothed.lat, smoothed.lng, lat, lng));
+    }
+
+    assert.strictEqual(app.appState.notified.arrived, true);
+    assert.ok(lag < 0.05, `smoothed position trailed ${Math.round(lag * 1000)} m behind`);
+    app.TrackingService.stopTracking();
+});
@@ -0,0 +1,33 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers/load-app');
+
+let app;
+before(async () => { app = await loadApp(); });
+after(() => app.close());
+
+test('haversine measures one degree of longitude at the equator', () => {
+    assert.ok(Math.abs(app.Utils.haversine(0, 0, 0, 1) - 111.19) < 0.01);
+});
+
+test('haversine is zero for the same point and symmetric', () => {
+    assert.strictEqual(app.Utils.haversine(6.9271, 79.8612, 6.9271, 79.8612), 0);
+    assert.strictEqual(
+        app.Utils.haversine(6.9271, 79.8612, 7.2906, 80.6337),
+        app.Utils.haversine(7.2906, 80.6337, 6.9271, 79.8612)
+    );
+});
+
+test('haversine between Colombo and Kandy is about 94 km', () => {
+    const distance = app.Utils.haversine(6.9271, 79.8612, 7.2906, 80.6337);
+    assert.ok(distance > 93 && distance < 95, `got ${distance}`);
+});
+
+test('escapeHtml neutralises markup', () => {
+    assert.strictEqual(app.Utils.escapeHtml('<b onclick="x">&</b>'), '&lt;b onclick="x"&gt;&amp;&lt;/b&gt;');
+});
+
+test('generateId returns distinct ids', () => {
+    const ids = new Set(Array.from({ length: 100 }, () => app.Utils.generateId()));
+    assert.strictEqual(ids.size, 100);
+});